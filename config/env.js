@@ -0,0 +1,115 @@
+import path from "path";
+import dotenv from "dotenv";
+import { environments, DEFAULT_ENVIRONMENT } from "./environments.js";
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+
+/**
+ * Name of the environment variable holding a role's credential field
+ * e.g. ("user", "email") -> EDUTRACE_USER_EMAIL
+ */
+export function credentialVar(role, field) {
+  return `EDUTRACE_${role.toUpperCase()}_${field.toUpperCase()}`;
+}
+
+/**
+ * The ID that tags the test data of this run
+ * Set TEST_RUN_ID to choose it; otherwise the runner makes one up and the
+ * workers inherit it through the environment
+ */
+function runId() {
+  if (!process.env.TEST_RUN_ID) {
+    const stamp = new Date().toISOString().replace(/\D/g, "").slice(0, 14);
+    process.env.TEST_RUN_ID = `run${stamp}${process.pid}`;
+  }
+  return process.env.TEST_RUN_ID;
+}
+
+/**
+ * Resolve the selected environment profile
+ * Loads `.env.<profile>` and `.env` (real environment variables win), then
+ * throws listing every missing value so the run fails before any test starts
+ */
+export function loadEnvironment(name = process.env.TEST_ENV) {
+  const profileName = name || DEFAULT_ENVIRONMENT;
+  const profile = environments[profileName];
+
+  if (!profile) {
+    throw new Error(
+      `Unknown TEST_ENV "${profileName}". ` +
+        `Available profiles: ${Object.keys(environments).join(", ")}`
+    );
+  }
+
+  dotenv.config({
+    path: [
+      path.join(ROOT_DIR, `.env.${profileName}`),
+      path.join(ROOT_DIR, ".env"),
+    ],
+    quiet: true,
+  });
+
+  const missing = [];
+  const baseURL = process.env.BASE_URL || profile.baseURL;
+  if (!baseURL) {
+    missing.push("BASE_URL");
+  }
+
+  const credentials = {};
+  const roleCredentials = (role) => {
+    const defaults = profile.credentials?.[role] ?? {};
+    return {
+      email: process.env[credentialVar(role, "email")] || defaults.email,
+      password:
+        process.env[credentialVar(role, "password")] || defaults.password,
+    };
+  };
+  for (const role of profile.roles) {
+    credentials[role] = roleCredentials(role);
+    for (const field of ["email", "password"]) {
+      if (!credentials[role][field]) {
+        missing.push(credentialVar(role, field));
+      }
+    }
+  }
+  // Optional roles only count when both values are there
+  for (const role of profile.optionalRoles ?? []) {
+    const found = roleCredentials(role);
+    if (found.email && found.password) {
+      credentials[role] = found;
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Environment profile "${profileName}" is missing required values: ` +
+        `${missing.join(", ")}. Set them in the environment, ` +
+        `.env.${profileName} or .env (see .env.example)`
+    );
+  }
+
+  return {
+    name: profileName,
+    baseURL: baseURL.replace(/\/$/, ""),
+    loginPath: profile.loginPath,
+    loginApiPath: profile.loginApiPath,
+    meApiPath: profile.meApiPath,
+    logoutApiPath: profile.logoutApiPath,
+    sessionCookie: profile.sessionCookie,
+    bruteForce: profile.bruteForce,
+    mailCatcherURL: (
+      process.env.MAIL_CATCHER_URL ||
+      profile.mailCatcherURL ||
+      ""
+    ).replace(/\/$/, ""),
+    testDataPaths: profile.testDataPaths,
+    runId: runId(),
+    mockServer: Boolean(profile.mockServer),
+    credentials,
+  };
+}
+
+/**
+ * The active environment, resolved once per worker
+ */
+export const env = loadEnvironment();
@@ -0,0 +1,97 @@
+/**
+ * Named environment profiles
+ * Select one with TEST_ENV (defaults to "mock")
+ *
+ * Each profile gives the app location and the login path. loginApiPath is
+ * the login API endpoint when known; without it any POST to a path
+ * containing "login" is treated as the login call. sessionCookie names the
+ * session cookie when known; without it auth cookies are recognised by
+ * their name. Real credentials are never stored here: every role reads
+ * EDUTRACE_<ROLE>_EMAIL and EDUTRACE_<ROLE>_PASSWORD from the environment,
+ * `.env.<profile>` or `.env`
+ * BASE_URL overrides the profile's baseURL when set
+ *
+ * `roles` must have credentials; `optionalRoles` are used when their
+ * credentials are set and their tests are skipped otherwise
+ *
+ * `bruteForce` holds the app's login throttling thresholds and messages.
+ * Without it, or without a `lockout` account, the brute-force tests skip
+ *
+ * `meApiPath` (current user) and `logoutApiPath` are the other auth API
+ * endpoints; the API-level auth tests need them and loginApiPath
+ *
+ * `testDataPaths` are the test-only endpoints the test data factory uses to
+ * create and delete users, classes and enrolments and to remove everything
+ * of one run. Tests that need their own data skip without them
+ *
+ * `mailCatcherURL` is a MailHog-compatible API that receives the app's
+ * emails (MAIL_CATCHER_URL overrides it). The password reset tests need it
+ * and the test data endpoints
+ */
+export const environments = {
+  // Bundled stand-in app (mock-server/), started by Playwright's webServer
+  mock: {
+    baseURL: "http://localhost:4010",
+    loginPath: "/auth/login",
+    loginApiPath: "/api/auth/login",
+    meApiPath: "/api/auth/me",
+    logoutApiPath: "/api/auth/logout",
+    sessionCookie: "edutrace_session",
+    mailCatcherURL: "http://localhost:4010/__mail",
+    testDataPaths: {
+      users: "/__test/users",
+      classes: "/__test/classes",
+      enrolments: "/__test/enrolments",
+      runs: "/__test/runs",
+    },
+    roles: ["user", "student", "teacher", "admin", "lockout"],
+    mockServer: true,
+    // Seeded mock accounts, not secrets - env values still take precedence
+    credentials: {
+      user: { email: "user@edutrace.test", password: "Password@23" },
+      student: { email: "student@edutrace.test", password: "Password@23" },
+      teacher: { email: "teacher@edutrace.test", password: "Password@23" },
+      admin: { email: "admin@edutrace.test", password: "Password@23" },
+      lockout: { email: "lockout@edutrace.test", password: "Password@23" },
+    },
+    // The mock server is started with these thresholds
+    bruteForce: {
+      lockout: {
+        maxAttempts: 5,
+        cooldownMs: 3000,
+        // Failures are forgotten after this long without a new one
+        windowMs: 10000,
+        message: /account locked/i,
+      },
+      rateLimit: {
+        maxAttempts: 20,
+        windowMs: 3000,
+        message: /too many login attempts/i,
+      },
+    },
+  },
+
+  feature: {
+    baseURL: "https://edutrace.feature.marimaxglobal.ng",
+    loginPath: "/auth/login",
+    roles: ["user"],
+    optionalRoles: ["student", "teacher", "admin", "lockout"],
+  },
+
+  staging: {
+    // No fixed staging host yet - supply BASE_URL
+    baseURL: undefined,
+    loginPath: "/auth/login",
+    roles: ["user"],
+    optionalRoles: ["student", "teacher", "admin", "lockout"],
+  },
+
+  local: {
+    baseURL: "http://localhost:3000",
+    loginPath: "/auth/login",
+    roles: ["user"],
+    optionalRoles: ["student", "teacher", "admin", "lockout"],
+  },
+};
+
+export const DEFAULT_ENVIRONMENT = "mock";
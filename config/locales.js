@@ -0,0 +1,36 @@
+/**
+ * Locale matrix
+ * Each entry becomes a `locale-<name>` project that runs the localization
+ * specs with the browser's locale (navigator.language and Accept-Language)
+ * and timezone set. `direction` is the text direction the app should use
+ *
+ * Translated labels are checked against tests/data/translations/<lang>.json;
+ * locales without a file there are expected to fall back to English
+ */
+export const LOCALES = [
+  {
+    name: "en-US",
+    locale: "en-US",
+    timezoneId: "America/Los_Angeles",
+    direction: "ltr",
+  },
+  {
+    name: "fr-FR",
+    locale: "fr-FR",
+    timezoneId: "Europe/Paris",
+    direction: "ltr",
+  },
+  {
+    name: "ar-EG",
+    locale: "ar-EG",
+    timezoneId: "Africa/Cairo",
+    direction: "rtl",
+  },
+  // No translations: English labels with Japanese dates and numbers
+  {
+    name: "ja-JP",
+    locale: "ja-JP",
+    timezoneId: "Asia/Tokyo",
+    direction: "ltr",
+  },
+];
@@ -0,0 +1,10 @@
+/**
+ * Global ignore list for the page guard (tests/support/page-guard.js)
+ * Each entry is a string (substring), a RegExp, or a predicate taking the
+ * collected entry { type, message, url }. Matching entries are logged but
+ * never fail a test. Keep this short and explain every line
+ */
+export const GLOBAL_IGNORE = [
+  // Browsers probe for a favicon on their own; the app does not serve one
+  /\/favicon\.ico/,
+];
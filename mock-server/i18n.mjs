@@ -0,0 +1,100 @@
+/**
+ * Translations for the mock EduTrace app
+ * The English text is the key, so untranslated strings and languages fall
+ * back to English. The language comes from the browser's Accept-Language
+ * header; dates and numbers are formatted in the browser with its own
+ * locale and timezone (see appPage)
+ */
+
+export const DEFAULT_LANGUAGE = "en";
+
+const RTL_LANGUAGES = new Set(["ar", "fa", "he", "ur"]);
+
+const STRINGS = {
+  en: {},
+  fr: {
+    "Sign in": "Connexion",
+    "Welcome back": "Bon retour",
+    Email: "E-mail",
+    Password: "Mot de passe",
+    "Remember me": "Se souvenir de moi",
+    Login: "Se connecter",
+    "Forgot password?": "Mot de passe oublié ?",
+    "New to EduTrace?": "Nouveau sur EduTrace ?",
+    "Create an account": "Créer un compte",
+    "Unable to login user": "Impossible de connecter l'utilisateur",
+    Dashboard: "Tableau de bord",
+    Courses: "Cours",
+    Students: "Élèves",
+    Users: "Utilisateurs",
+    Profile: "Profil",
+    Menu: "Menu",
+    Logout: "Déconnexion",
+    "Welcome, {name}": "Bienvenue, {name}",
+    "Today is {date}": "Nous sommes le {date}",
+    Overview: "Aperçu",
+    "Average grade": "Note moyenne",
+    "Study hours this term": "Heures d'étude ce trimestre",
+  },
+  ar: {
+    "Sign in": "تسجيل الدخول",
+    "Welcome back": "مرحبًا بعودتك",
+    Email: "البريد الإلكتروني",
+    Password: "كلمة المرور",
+    "Remember me": "تذكرني",
+    Login: "دخول",
+    "Forgot password?": "هل نسيت كلمة المرور؟",
+    "New to EduTrace?": "جديد على EduTrace؟",
+    "Create an account": "إنشاء حساب",
+    "Unable to login user": "تعذّر تسجيل دخول المستخدم",
+    Dashboard: "لوحة التحكم",
+    Courses: "المقررات",
+    Students: "الطلاب",
+    Users: "المستخدمون",
+    Profile: "الملف الشخصي",
+    Menu: "القائمة",
+    Logout: "تسجيل الخروج",
+    "Welcome, {name}": "مرحبًا، {name}",
+    "Today is {date}": "اليوم {date}",
+    Overview: "نظرة عامة",
+    "Average grade": "متوسط الدرجات",
+    "Study hours this term": "ساعات الدراسة هذا الفصل",
+  },
+};
+
+/**
+ * The best translated language for an Accept-Language header
+ */
+export function pickLanguage(acceptLanguage = "") {
+  const ranked = String(acceptLanguage)
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.find((param) => param.trim().startsWith("q="));
+      return {
+        language: tag.split("-")[0].toLowerCase(),
+        q: q ? Number(q.trim().slice(2)) : 1,
+      };
+    })
+    .sort((a, b) => b.q - a.q);
+  return (
+    ranked.find((entry) => STRINGS[entry.language])?.language ??
+    DEFAULT_LANGUAGE
+  );
+}
+
+export function direction(language) {
+  return RTL_LANGUAGES.has(language) ? "rtl" : "ltr";
+}
+
+/**
+ * t(text, values) for a language: the translation of the English text with
+ * {placeholders} filled in. Values are inserted as given
+ */
+export function translator(language = DEFAULT_LANGUAGE) {
+  const strings = STRINGS[language] ?? {};
+  return (text, values = {}) =>
+    (strings[text] ?? text).replace(/\{(\w+)\}/g, (match, name) =>
+      name in values ? values[name] : match
+    );
+}
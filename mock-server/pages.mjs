@@ -0,0 +1,581 @@
+import { COURSES, classesFor, users } from "./store.mjs";
+import { DEFAULT_LANGUAGE, direction, translator } from "./i18n.mjs";
+
+/**
+ * HTML templates for the mock EduTrace app
+ * Kept close to the real app's structure: a login form at /auth/login and
+ * an authenticated shell with header, nav menu, main content and footer
+ */
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    font-family: "Inter", Arial, sans-serif;
+    background-color: #f5f7fb;
+    color: #1f2937;
+  }
+  a { color: #1d4ed8; }
+  button {
+    cursor: pointer;
+    padding: 12px 16px;
+    border: none;
+    border-radius: 6px;
+    background-color: #1d4ed8;
+    color: #ffffff;
+    font-size: 16px;
+    font-weight: 600;
+  }
+  button:disabled { opacity: 0.6; cursor: not-allowed; }
+  button:focus-visible, a:focus-visible, input:focus-visible {
+    outline: 3px solid #f59e0b;
+    outline-offset: 2px;
+  }
+  input[type="email"], input[type="password"], input[type="text"] {
+    width: 100%;
+    padding: 12px;
+    border: 1px solid #9ca3af;
+    border-radius: 6px;
+    font-size: 16px;
+  }
+  header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: 12px 24px;
+    background-color: #ffffff;
+    border-bottom: 1px solid #e5e7eb;
+  }
+  header nav ul { display: flex; gap: 16px; list-style: none; margin: 0; padding: 0; }
+  header nav a { display: inline-block; padding: 4px 0; }
+  .nav-toggle { display: none; }
+  main { padding: 24px; }
+  footer { padding: 16px 24px; font-size: 14px; color: #4b5563; }
+  .logo { font-size: 20px; font-weight: 700; color: #1d4ed8; }
+  .login-card {
+    max-width: 400px;
+    margin: 64px auto;
+    padding: 32px;
+    background-color: #ffffff;
+    border-radius: 8px;
+  }
+  .field { margin-bottom: 16px; }
+  .field label { display: block; margin-bottom: 4px; }
+  .alert-danger {
+    margin-bottom: 16px;
+    padding: 12px;
+    border-radius: 6px;
+    background-color: #fee2e2;
+    color: #991b1b;
+  }
+  .alert-success {
+    margin-bottom: 16px;
+    padding: 12px;
+    border-radius: 6px;
+    background-color: #dcfce7;
+    color: #166534;
+  }
+  .hint { font-size: 14px; color: #4b5563; }
+  .field .check { display: flex; align-items: center; gap: 8px; min-height: 24px; }
+  .check input { width: 20px; height: 20px; margin: 0; }
+  .login-card p a { display: inline-block; padding: 4px 0; }
+
+  /* Phones: the menu collapses behind a toggle and opens below the header */
+  @media (max-width: 640px) {
+    header { flex-wrap: wrap; gap: 8px; padding: 12px 16px; }
+    .nav-toggle { display: block; padding: 8px 12px; }
+    header nav { order: 3; width: 100%; }
+    header nav ul { display: none; flex-direction: column; gap: 0; }
+    header nav.open ul { display: flex; }
+    header nav a { display: block; padding: 12px 0; }
+    main { padding: 16px; }
+    .login-card { margin: 24px auto; padding: 24px 16px; }
+  }
+`;
+
+/**
+ * Escape text for safe use inside HTML
+ */
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function document(title, body, language = DEFAULT_LANGUAGE) {
+  return `<!DOCTYPE html>
+<html lang="${language}" dir="${direction(language)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} | EduTrace</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * The login form
+ * Submits to /api/auth/login with fetch and shows the server's message in
+ * an alert when the credentials are rejected
+ */
+export function loginPage({
+  rememberedEmail = "",
+  notice = "",
+  language = DEFAULT_LANGUAGE,
+} = {}) {
+  const t = translator(language);
+  return document(
+    t("Sign in"),
+    `<main class="login-card">
+  <img class="logo" data-testid="logo" alt="EduTrace logo" src="/logo.svg" width="48" height="48">
+  <h1>${t("Welcome back")}</h1>
+  ${
+    notice
+      ? `<p data-testid="login-notice" class="alert-success" role="status">${escapeHtml(
+          notice
+        )}</p>`
+      : ""
+  }
+  <div id="login-error" data-testid="login-error" class="alert-danger" role="alert" aria-live="assertive" hidden></div>
+  <form id="login-form" data-testid="login-form" class="login-form">
+    <div class="field">
+      <label for="email">${t("Email")}</label>
+      <input type="email" id="email" data-testid="login-email" name="email" required autocomplete="username" value="${escapeHtml(
+        rememberedEmail
+      )}">
+    </div>
+    <div class="field">
+      <label for="password">${t("Password")}</label>
+      <input type="password" id="password" data-testid="login-password" name="password" required autocomplete="current-password">
+    </div>
+    <div class="field">
+      <label class="check"><input type="checkbox" id="remember" data-testid="login-remember" name="remember"${
+        rememberedEmail ? " checked" : ""
+      }> ${t("Remember me")}</label>
+    </div>
+    <button type="submit" data-testid="login-submit">${t("Login")}</button>
+  </form>
+  <p><a href="/auth/forgot-password" data-testid="forgot-password">${t(
+    "Forgot password?"
+  )}</a></p>
+  <p>${t(
+    "New to EduTrace?"
+  )} <a href="/auth/register" data-testid="register-link">${t(
+      "Create an account"
+    )}</a></p>
+</main>
+<script>
+  const form = document.getElementById("login-form");
+  const errorBox = document.getElementById("login-error");
+  const submit = form.querySelector('button[type="submit"]');
+  const loginError = ${JSON.stringify(t("Unable to login user"))};
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    errorBox.hidden = true;
+    submit.disabled = true;
+    try {
+      const response = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          email: form.email.value,
+          password: form.password.value,
+          remember: form.remember.checked,
+        }),
+      });
+      const body = await response.json().catch(() => null);
+      if (response.ok && body && body.user) {
+        window.location.assign("/dashboard");
+        return;
+      }
+      errorBox.textContent = (body && body.message) || loginError;
+    } catch (error) {
+      errorBox.textContent = loginError;
+    }
+    errorBox.hidden = false;
+    submit.disabled = false;
+  });
+</script>`,
+    language
+  );
+}
+
+export const MENU = [
+  { path: "/dashboard", label: "Dashboard" },
+  { path: "/courses", label: "Courses" },
+  { path: "/students", label: "Students", roles: ["user", "teacher", "admin"] },
+  // The admin area redirects other roles instead of revealing it exists
+  {
+    path: "/admin/users",
+    label: "Users",
+    roles: ["admin"],
+    denied: "redirect",
+  },
+  { path: "/profile", label: "Profile" },
+];
+
+/**
+ * Whether the user's role may open a menu page
+ */
+export function canAccess(item, user) {
+  return !item.roles || item.roles.includes(user.role);
+}
+
+/**
+ * Authenticated page shell with the nav menu and a logout button
+ * Dates (<time datetime>) and numbers (<data value>) in the content are
+ * formatted in the browser, in its locale and timezone
+ */
+export function appPage({ title, user, content, language = DEFAULT_LANGUAGE }) {
+  const t = translator(language);
+  const links = MENU.filter((item) => canAccess(item, user))
+    .map(
+      (item) =>
+        `<li><a href="${item.path}">${escapeHtml(t(item.label))}</a></li>`
+    )
+    .join("\n      ");
+
+  return document(
+    t(title),
+    `<header>
+  <span class="logo">EduTrace</span>
+  <nav aria-label="Main" data-testid="main-nav">
+    <ul id="main-menu">
+      ${links}
+    </ul>
+  </nav>
+  <button type="button" class="nav-toggle" data-testid="nav-toggle" aria-controls="main-menu" aria-expanded="false">${t(
+    "Menu"
+  )}</button>
+  <div class="user-menu">
+    <span class="user-name" data-testid="user-name">${escapeHtml(
+      user.name
+    )}</span>
+    <button type="button" data-testid="logout" id="logout">${t(
+      "Logout"
+    )}</button>
+  </div>
+</header>
+<main>
+  <h1>${escapeHtml(t(title))}</h1>
+  ${content}
+</main>
+<footer>&copy; EduTrace</footer>
+<script>
+  const navToggle = document.querySelector(".nav-toggle");
+  navToggle.addEventListener("click", () => {
+    const open = navToggle.getAttribute("aria-expanded") !== "true";
+    navToggle.setAttribute("aria-expanded", String(open));
+    document.querySelector("header nav").classList.toggle("open", open);
+  });
+  document.getElementById("logout").addEventListener("click", async () => {
+    await fetch("/api/auth/logout", { method: "POST" });
+    window.location.assign("/auth/login");
+  });
+  const dates = new Intl.DateTimeFormat(undefined, {
+    dateStyle: "full",
+    timeStyle: "short",
+  });
+  for (const time of document.querySelectorAll("main time[datetime]")) {
+    time.textContent = dates.format(new Date(time.getAttribute("datetime")));
+  }
+  const numbers = new Intl.NumberFormat();
+  for (const data of document.querySelectorAll("main data[value]")) {
+    data.textContent = numbers.format(Number(data.value));
+  }
+</script>`,
+    language
+  );
+}
+
+/**
+ * The classes the user teaches or is enrolled in, when there are any
+ */
+function myClasses(user) {
+  const entries = classesFor(user);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `
+  <section data-testid="my-classes">
+    <h2>My classes</h2>
+    <ul>
+      ${entries
+        .map((entry) => `<li>${escapeHtml(entry.name)}</li>`)
+        .join("\n      ")}
+    </ul>
+  </section>`;
+}
+
+/**
+ * Main content for each menu page
+ */
+export function pageContent(path, user, t = translator()) {
+  const today = new Date();
+  switch (path) {
+    case "/dashboard":
+      return `<p class="welcome" data-testid="welcome">${t("Welcome, {name}", {
+        name: escapeHtml(user.name),
+      })}</p>
+  <p>${t("Today is {date}", {
+    date: `<time class="current-date" data-testid="current-date" datetime="${today.toISOString()}">${today.toDateString()}</time>`,
+  })}</p>
+  <section class="dashboard-summary">
+    <h2>${t("Overview")}</h2>
+    <ul>
+      <li>${t("Courses")}: <data value="3">3</data></li>
+      <li>${t("Students")}: <data value="42">42</data></li>
+      <li>${t("Average grade")}: <data value="78.25">78.25</data></li>
+      <li>${t(
+        "Study hours this term"
+      )}: <data value="12480.5">12,480.5</data></li>
+    </ul>
+  </section>`;
+    case "/courses":
+      return `<ul class="course-list">
+    ${COURSES.map(
+      (course) =>
+        `<li><a href="/courses/${course.slug}">${escapeHtml(
+          course.name
+        )}</a></li>`
+    ).join("\n    ")}
+  </ul>${myClasses(user)}`;
+    case "/students":
+      return `<p>42 students enrolled.</p>`;
+    case "/admin/users":
+      return `<table class="user-list">
+    <tr><th>Name</th><th>Email</th><th>Role</th></tr>
+    ${[...users.values()]
+      .map(
+        (item) =>
+          `<tr><td>${escapeHtml(item.name)}</td><td>${escapeHtml(
+            item.email
+          )}</td><td>${escapeHtml(item.role)}</td></tr>`
+      )
+      .join("\n    ")}
+  </table>`;
+    case "/profile":
+      return `<dl class="profile">
+    <dt>Name</dt><dd>${escapeHtml(user.name)}</dd>
+    <dt>Email</dt><dd>${escapeHtml(user.email)}</dd>
+  </dl>`;
+    default:
+      return "";
+  }
+}
+
+/**
+ * Main content for a course detail page
+ */
+export function courseContent(course) {
+  return `<p>${course.students} students enrolled.</p>
+  <p><a href="/courses">Back to courses</a></p>`;
+}
+
+/**
+ * The sign-up form
+ * Submits to /api/auth/register with fetch and sends the new user to the
+ * login page, or shows the server's message in an alert
+ */
+export function registerPage({ policy }) {
+  return document(
+    "Create account",
+    `<main class="login-card">
+  <img class="logo" data-testid="logo" alt="EduTrace logo" src="/logo.svg" width="48" height="48">
+  <h1>Create your account</h1>
+  <div id="register-error" data-testid="register-error" class="alert-danger" role="alert" aria-live="assertive" hidden></div>
+  <form id="register-form" data-testid="register-form">
+    <div class="field">
+      <label for="name">Full name</label>
+      <input type="text" id="name" data-testid="register-name" name="name" required autocomplete="name">
+    </div>
+    <div class="field">
+      <label for="email">Email</label>
+      <input type="email" id="email" data-testid="register-email" name="email" required autocomplete="email">
+    </div>
+    <div class="field">
+      <label for="password">Password</label>
+      <input type="password" id="password" data-testid="register-password" name="password" required autocomplete="new-password" aria-describedby="password-hint">
+      <p id="password-hint" class="hint">${escapeHtml(policy)}</p>
+    </div>
+    <div class="field">
+      <label for="confirm">Confirm password</label>
+      <input type="password" id="confirm" data-testid="register-confirm" name="confirm" required autocomplete="new-password">
+    </div>
+    <div class="field">
+      <label class="check"><input type="checkbox" id="terms" data-testid="register-terms" name="terms" required> I agree to the terms and conditions</label>
+    </div>
+    <button type="submit" data-testid="register-submit">Create account</button>
+  </form>
+  <p>Already have an account? <a href="/auth/login">Log in</a></p>
+</main>
+<script>
+  const form = document.getElementById("register-form");
+  const errorBox = document.getElementById("register-error");
+  const submit = form.querySelector('button[type="submit"]');
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    errorBox.hidden = true;
+    submit.disabled = true;
+    const response = await fetch("/api/auth/register", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        name: form.name.value,
+        email: form.email.value,
+        password: form.password.value,
+        confirm: form.confirm.value,
+        terms: form.terms.checked,
+      }),
+    }).catch(() => null);
+    if (response && response.ok) {
+      window.location.assign("/auth/login?registered=1");
+      return;
+    }
+    const body = response && (await response.json().catch(() => null));
+    errorBox.textContent = (body && body.message) || "Something went wrong";
+    errorBox.hidden = false;
+    submit.disabled = false;
+  });
+</script>`
+  );
+}
+
+/**
+ * The "Forgot password" form
+ * Always answers with the same confirmation, whether or not the account
+ * exists, so it can't be used to find out which emails are registered
+ */
+export function forgotPasswordPage() {
+  return document(
+    "Forgot password",
+    `<main class="login-card">
+  <h1>Forgot your password?</h1>
+  <p>Enter your email and we will send you a link to reset your password.</p>
+  <div id="forgot-error" data-testid="forgot-error" class="alert-danger" role="alert" hidden></div>
+  <p id="forgot-sent" data-testid="forgot-sent" class="alert-success" role="status" hidden></p>
+  <form id="forgot-form" data-testid="forgot-form">
+    <div class="field">
+      <label for="email">Email</label>
+      <input type="email" id="email" data-testid="forgot-email" name="email" required autocomplete="username">
+    </div>
+    <button type="submit" data-testid="forgot-submit">Send reset link</button>
+  </form>
+  <p><a href="/auth/login">Back to login</a></p>
+</main>
+<script>
+  const form = document.getElementById("forgot-form");
+  const errorBox = document.getElementById("forgot-error");
+  const sent = document.getElementById("forgot-sent");
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    errorBox.hidden = true;
+    const response = await fetch("/api/auth/forgot-password", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email: form.email.value }),
+    }).catch(() => null);
+    const body = response && (await response.json().catch(() => null));
+    if (response && response.ok) {
+      sent.textContent = body.message;
+      sent.hidden = false;
+      form.hidden = true;
+      return;
+    }
+    errorBox.textContent = (body && body.message) || "Something went wrong";
+    errorBox.hidden = false;
+  });
+</script>`
+  );
+}
+
+/**
+ * The "Choose a new password" form reached from the reset email, or an
+ * error when the link is unknown, used or expired
+ */
+export function resetPasswordPage({ token, valid, policy }) {
+  if (!valid) {
+    return document(
+      "Reset password",
+      `<main class="login-card">
+  <h1>Reset your password</h1>
+  <p data-testid="reset-invalid" class="alert-danger" role="alert">This reset link is invalid or has expired.</p>
+  <p><a href="/auth/forgot-password">Request a new link</a></p>
+</main>`
+    );
+  }
+  return document(
+    "Reset password",
+    `<main class="login-card">
+  <h1>Reset your password</h1>
+  <div id="reset-error" data-testid="reset-error" class="alert-danger" role="alert" hidden></div>
+  <form id="reset-form" data-testid="reset-form">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <div class="field">
+      <label for="password">New password</label>
+      <input type="password" id="password" data-testid="reset-password" name="password" required autocomplete="new-password" aria-describedby="password-hint">
+      <p id="password-hint" class="hint">${escapeHtml(policy)}</p>
+    </div>
+    <div class="field">
+      <label for="confirm">Confirm password</label>
+      <input type="password" id="confirm" data-testid="reset-confirm" name="confirm" required autocomplete="new-password">
+    </div>
+    <button type="submit" data-testid="reset-submit">Reset password</button>
+  </form>
+</main>
+<script>
+  const form = document.getElementById("reset-form");
+  const errorBox = document.getElementById("reset-error");
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    errorBox.hidden = true;
+    const response = await fetch("/api/auth/reset-password", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        token: form.token.value,
+        password: form.password.value,
+        confirm: form.confirm.value,
+      }),
+    }).catch(() => null);
+    if (response && response.ok) {
+      window.location.assign("/auth/login?reset=1");
+      return;
+    }
+    const body = response && (await response.json().catch(() => null));
+    errorBox.textContent = (body && body.message) || "Something went wrong";
+    errorBox.hidden = false;
+  });
+</script>`
+  );
+}
+
+/**
+ * Main content for a page the user's role may not open
+ */
+export function forbiddenContent() {
+  return `<p class="alert-danger" role="alert">Access denied. Your role does not have access to this page.</p>
+  <p><a href="/dashboard">Back to dashboard</a></p>`;
+}
+
+/**
+ * Plain not-found page
+ */
+export function notFoundPage() {
+  return document(
+    "Page not found",
+    `<main><h1>404 - Page not found</h1></main>`
+  );
+}
+
+export const LOGO_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 48 48"><rect width="48" height="48" rx="8" fill="#1d4ed8"/><text x="24" y="31" font-size="20" text-anchor="middle" fill="#ffffff" font-family="Arial">E</text></svg>`;
@@ -0,0 +1,556 @@
+import http from "http";
+import {
+  COURSES,
+  PASSWORD_POLICY,
+  authenticate,
+  consumeResetToken,
+  createClass,
+  createEnrolment,
+  createResetToken,
+  createSession,
+  createUser,
+  deleteClass,
+  deleteEnrolment,
+  deleteRun,
+  deleteUser,
+  destroySession,
+  mails,
+  passwordProblem,
+  publicUser,
+  resetTokenUser,
+  runData,
+  sendMail,
+  sessionUser,
+  setPassword,
+  users,
+} from "./store.mjs";
+import {
+  LOGO_SVG,
+  MENU,
+  appPage,
+  canAccess,
+  courseContent,
+  forbiddenContent,
+  forgotPasswordPage,
+  loginPage,
+  notFoundPage,
+  pageContent,
+  registerPage,
+  resetPasswordPage,
+} from "./pages.mjs";
+import { pickLanguage, translator } from "./i18n.mjs";
+import {
+  clearFailures,
+  clientId,
+  lockedFor,
+  recordFailure,
+  throttledFor,
+} from "./throttle.mjs";
+
+/**
+ * Local stand-in for the EduTrace web app
+ * Started by Playwright's webServer when TEST_ENV=mock so the suite can run
+ * offline. Run it by hand with `npm run mock-server`
+ */
+
+export const SESSION_COOKIE = "edutrace_session";
+export const REMEMBER_COOKIE = "edutrace_remember";
+const LOGIN_ERROR = "Unable to login user";
+const RESET_REQUESTED =
+  "If an account exists for that email, we have sent a password reset link.";
+const RESET_DONE =
+  "Your password has been reset. Log in with your new password.";
+const RESET_LINK_INVALID = "This reset link is invalid or has expired.";
+const REGISTERED = "Your account has been created. Log in to continue.";
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const REMEMBER_MAX_AGE = 30 * 24 * 60 * 60;
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(
+        part.slice(index + 1).trim()
+      );
+    }
+  }
+  return cookies;
+}
+
+function serializeCookie(name, value, { maxAge, httpOnly = true } = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, "Path=/"];
+  if (maxAge !== undefined) {
+    parts.push(`Max-Age=${maxAge}`);
+  }
+  if (httpOnly) {
+    parts.push("HttpOnly");
+  }
+  parts.push("SameSite=Lax");
+  return parts.join("; ");
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString("utf8");
+  if (!raw) {
+    return {};
+  }
+  if ((req.headers["content-type"] || "").includes("application/json")) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  return Object.fromEntries(new URLSearchParams(raw));
+}
+
+function seconds(ms) {
+  return Math.ceil(ms / 1000);
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Cache-Control": "no-store", ...headers });
+  res.end(body);
+}
+
+function sendHtml(res, status, html, headers = {}) {
+  send(res, status, html, {
+    "Content-Type": "text/html; charset=utf-8",
+    ...headers,
+  });
+}
+
+function sendJson(res, status, data, headers = {}) {
+  send(res, status, JSON.stringify(data), {
+    "Content-Type": "application/json",
+    ...headers,
+  });
+}
+
+function redirect(res, location, headers = {}) {
+  send(res, 302, "", { Location: location, ...headers });
+}
+
+/**
+ * What is wrong with a sign-up, or null when it can go ahead
+ */
+function registrationProblem({ name, email, password, confirm, terms }) {
+  if (!String(name || "").trim()) {
+    return "Name is required";
+  }
+  if (!String(email || "").trim()) {
+    return "Email is required";
+  }
+  if (!EMAIL_PATTERN.test(String(email).trim())) {
+    return "Enter a valid email address";
+  }
+  const weak = passwordProblem(password);
+  if (weak) {
+    return weak;
+  }
+  if (password !== confirm) {
+    return "Passwords do not match";
+  }
+  if (!terms) {
+    return "You must accept the terms and conditions";
+  }
+  return null;
+}
+
+/**
+ * Route table: "METHOD /path" -> handler(req, res, ctx)
+ */
+const routes = {
+  "GET /health": (req, res) => send(res, 200, "ok"),
+
+  "GET /logo.svg": (req, res) =>
+    send(res, 200, LOGO_SVG, { "Content-Type": "image/svg+xml" }),
+
+  "GET /": (req, res) => redirect(res, "/dashboard"),
+  "GET /home": (req, res) => redirect(res, "/dashboard"),
+
+  "GET /auth/login": (req, res, { url, cookies, language }) =>
+    sendHtml(
+      res,
+      200,
+      loginPage({
+        language,
+        rememberedEmail: cookies[REMEMBER_COOKIE] || "",
+        notice: url.searchParams.get("reset")
+          ? RESET_DONE
+          : url.searchParams.get("registered")
+          ? REGISTERED
+          : "",
+      })
+    ),
+
+  "POST /api/auth/login": async (req, res, { language }) => {
+    const body = await readBody(req);
+    if (!body) {
+      return sendJson(res, 400, { message: "Malformed request body" });
+    }
+
+    // Throttled clients and locked accounts are refused before the
+    // password is even checked
+    const client = clientId(req);
+    const throttled = throttledFor(client);
+    if (throttled) {
+      return sendJson(
+        res,
+        429,
+        {
+          message: `Too many login attempts. Try again in ${seconds(
+            throttled
+          )} seconds.`,
+        },
+        { "Retry-After": String(seconds(throttled)) }
+      );
+    }
+    const locked = lockedFor(body.email, client);
+    if (locked) {
+      return sendJson(
+        res,
+        423,
+        {
+          message: `Account locked after too many failed attempts. Try again in ${seconds(
+            locked
+          )} seconds.`,
+        },
+        { "Retry-After": String(seconds(locked)) }
+      );
+    }
+
+    const user = authenticate(body.email, body.password);
+    if (!user) {
+      recordFailure(body.email, client);
+      return sendJson(res, 401, { message: translator(language)(LOGIN_ERROR) });
+    }
+    clearFailures(body.email, client);
+
+    const cookies = [serializeCookie(SESSION_COOKIE, createSession(user))];
+    cookies.push(
+      body.remember
+        ? serializeCookie(REMEMBER_COOKIE, user.email, {
+            maxAge: REMEMBER_MAX_AGE,
+          })
+        : serializeCookie(REMEMBER_COOKIE, "", { maxAge: 0 })
+    );
+    sendJson(res, 200, { user: publicUser(user) }, { "Set-Cookie": cookies });
+  },
+
+  "POST /api/auth/logout": (req, res, { cookies }) => {
+    destroySession(cookies[SESSION_COOKIE]);
+    send(res, 204, "", {
+      "Set-Cookie": serializeCookie(SESSION_COOKIE, "", { maxAge: 0 }),
+    });
+  },
+
+  "GET /auth/register": (req, res) =>
+    sendHtml(res, 200, registerPage({ policy: PASSWORD_POLICY })),
+
+  // Validates like the real sign-up; the new user logs in separately
+  "POST /api/auth/register": async (req, res) => {
+    const body = await readBody(req);
+    if (!body) {
+      return sendJson(res, 400, { message: "Malformed request body" });
+    }
+    const problem = registrationProblem(body);
+    if (problem) {
+      return sendJson(res, 400, { message: problem });
+    }
+    const user = createUser({
+      name: String(body.name).trim(),
+      email: String(body.email).trim(),
+      password: body.password,
+    });
+    if (!user) {
+      return sendJson(res, 409, {
+        message: "An account with this email already exists",
+      });
+    }
+    sendJson(res, 201, { user: publicUser(user) });
+  },
+
+  "GET /auth/forgot-password": (req, res) =>
+    sendHtml(res, 200, forgotPasswordPage()),
+
+  // Same answer for known and unknown emails; only known ones get a mail
+  "POST /api/auth/forgot-password": async (req, res) => {
+    const body = await readBody(req);
+    if (!body || !body.email) {
+      return sendJson(res, 400, { message: "Email is required" });
+    }
+    const user = users.get(String(body.email).toLowerCase());
+    if (user) {
+      const link = `http://${
+        req.headers.host
+      }/auth/reset-password?token=${createResetToken(user)}`;
+      sendMail({
+        to: user.email,
+        subject: "Reset your EduTrace password",
+        body:
+          `Hi ${user.name},\n\n` +
+          `Use this link to choose a new password:\n${link}\n\n` +
+          "The link works once and expires in 30 minutes.",
+      });
+    }
+    sendJson(res, 202, { message: RESET_REQUESTED });
+  },
+
+  "GET /auth/reset-password": (req, res, { url }) => {
+    const token = url.searchParams.get("token") || "";
+    sendHtml(
+      res,
+      200,
+      resetPasswordPage({
+        token,
+        valid: Boolean(resetTokenUser(token)),
+        policy: PASSWORD_POLICY,
+      })
+    );
+  },
+
+  "POST /api/auth/reset-password": async (req, res) => {
+    const body = await readBody(req);
+    if (!body) {
+      return sendJson(res, 400, { message: "Malformed request body" });
+    }
+    const user = resetTokenUser(body.token);
+    if (!user) {
+      return sendJson(res, 410, { message: RESET_LINK_INVALID });
+    }
+    const problem = passwordProblem(body.password);
+    if (problem) {
+      return sendJson(res, 400, { message: problem });
+    }
+    if (body.password !== body.confirm) {
+      return sendJson(res, 400, { message: "Passwords do not match" });
+    }
+    consumeResetToken(body.token);
+    setPassword(user, body.password);
+    sendJson(res, 200, { message: RESET_DONE });
+  },
+
+  "GET /api/auth/me": (req, res, { user }) =>
+    user
+      ? sendJson(res, 200, { user: publicUser(user) })
+      : sendJson(res, 401, { message: "Not authenticated" }),
+};
+
+/**
+ * Local mail catcher
+ * Serves the mails the app "sent" through the MailHog API, so the same
+ * client works against this server and a real MailHog next to a deployed app
+ */
+function mailHogAddress(address) {
+  const [Mailbox, Domain] = address.split("@");
+  return { Mailbox, Domain, Params: "" };
+}
+
+function mailHogMessage(mail) {
+  return {
+    ID: mail.id,
+    From: mailHogAddress(mail.from),
+    To: [mailHogAddress(mail.to)],
+    Content: {
+      Headers: {
+        From: [mail.from],
+        To: [mail.to],
+        Subject: [mail.subject],
+        Date: [mail.created],
+      },
+      Body: mail.body,
+    },
+    Created: mail.created,
+  };
+}
+
+routes["GET /__mail/api/v2/messages"] = (req, res) => {
+  const items = [...mails].reverse().map(mailHogMessage);
+  sendJson(res, 200, {
+    total: items.length,
+    count: items.length,
+    start: 0,
+    items,
+  });
+};
+
+routes["GET /__mail/api/v2/search"] = (req, res, { url }) => {
+  const kind = url.searchParams.get("kind");
+  const query = (url.searchParams.get("query") || "").toLowerCase();
+  const field = { to: "to", from: "from", containing: "body" }[kind];
+  if (!field) {
+    return sendJson(res, 400, { message: `Unknown search kind "${kind}"` });
+  }
+  const items = [...mails]
+    .reverse()
+    .filter((mail) => mail[field].toLowerCase().includes(query))
+    .map(mailHogMessage);
+  sendJson(res, 200, {
+    total: items.length,
+    count: items.length,
+    start: 0,
+    items,
+  });
+};
+
+routes["DELETE /__mail/api/v1/messages"] = (req, res) => {
+  mails.length = 0;
+  send(res, 200, "");
+};
+
+/**
+ * Test-only data API
+ * Tests create throwaway users, classes and enrolments here, tagged with
+ * their run ID, and delete them one by one or a whole run at once
+ */
+routes["POST /__test/users"] = async (req, res) => {
+  const body = await readBody(req);
+  if (!body || !body.email || !body.password) {
+    return sendJson(res, 400, { message: "email and password are required" });
+  }
+  const user = createUser(body);
+  if (!user) {
+    return sendJson(res, 409, { message: "Email already registered" });
+  }
+  sendJson(res, 201, { user: publicUser(user) });
+};
+
+routes["POST /__test/classes"] = async (req, res) => {
+  const body = await readBody(req);
+  const entry = body && createClass(body);
+  if (!entry) {
+    return sendJson(res, 400, { message: "Unknown teacher" });
+  }
+  sendJson(res, 201, { class: entry });
+};
+
+routes["POST /__test/enrolments"] = async (req, res) => {
+  const body = await readBody(req);
+  const enrolment = body && createEnrolment(body);
+  if (!enrolment) {
+    return sendJson(res, 400, { message: "Unknown class or user" });
+  }
+  sendJson(res, 201, { enrolment });
+};
+
+// "METHOD /prefix" -> handler(req, res, ctx) for "/prefix/:id" paths,
+// with the id in ctx.id
+const idRoutes = {
+  "DELETE /__test/users": (req, res, { id }) =>
+    deleteUser(id)
+      ? send(res, 204, "")
+      : sendJson(res, 404, { message: "No such test user" }),
+
+  "DELETE /__test/classes": (req, res, { id }) =>
+    deleteClass(id)
+      ? send(res, 204, "")
+      : sendJson(res, 404, { message: "No such class" }),
+
+  "DELETE /__test/enrolments": (req, res, { id }) =>
+    deleteEnrolment(id)
+      ? send(res, 204, "")
+      : sendJson(res, 404, { message: "No such enrolment" }),
+
+  "GET /__test/runs": (req, res, { id }) => sendJson(res, 200, runData(id)),
+
+  "DELETE /__test/runs": (req, res, { id }) =>
+    sendJson(res, 200, { deleted: deleteRun(id) }),
+};
+
+function findHandler(method, pathname) {
+  const exact = routes[`${method} ${pathname}`];
+  if (exact) {
+    return exact;
+  }
+  const index = pathname.lastIndexOf("/");
+  const handler = idRoutes[`${method} ${pathname.slice(0, index)}`];
+  const id = decodeURIComponent(pathname.slice(index + 1));
+  return handler && id
+    ? (req, res, ctx) => handler(req, res, { ...ctx, id })
+    : null;
+}
+
+/**
+ * Render a protected page inside the app shell, or send logged-out users to
+ * the login page
+ */
+function sendAppPage(res, { url, user, language }, title, content) {
+  if (!user) {
+    return redirect(
+      res,
+      `/auth/login?next=${encodeURIComponent(url.pathname)}`
+    );
+  }
+  sendHtml(
+    res,
+    200,
+    appPage({ title, user, language, content: content(user) })
+  );
+}
+
+// Every menu page is protected and rendered inside the app shell
+// Roles without access get a 403 page, or are sent back to the dashboard
+for (const item of MENU) {
+  routes[`GET ${item.path}`] = (req, res, ctx) => {
+    if (ctx.user && !canAccess(item, ctx.user)) {
+      if (item.denied === "redirect") {
+        return redirect(res, "/dashboard");
+      }
+      return sendHtml(
+        res,
+        403,
+        appPage({
+          title: "Access denied",
+          user: ctx.user,
+          language: ctx.language,
+          content: forbiddenContent(),
+        })
+      );
+    }
+    sendAppPage(res, ctx, item.label, (user) =>
+      pageContent(item.path, user, translator(ctx.language))
+    );
+  };
+}
+
+// Course detail pages
+for (const course of COURSES) {
+  routes[`GET /courses/${course.slug}`] = (req, res, ctx) =>
+    sendAppPage(res, ctx, course.name, () => courseContent(course));
+}
+
+function createServer() {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const cookies = parseCookies(req);
+    const user = sessionUser(cookies[SESSION_COOKIE]);
+    const handler = findHandler(req.method, url.pathname);
+    const language = pickLanguage(req.headers["accept-language"]);
+
+    try {
+      if (handler) {
+        await handler(req, res, { url, cookies, user, language });
+      } else if (url.pathname.startsWith("/api/")) {
+        sendJson(res, 404, { message: "Not found" });
+      } else {
+        sendHtml(res, 404, notFoundPage());
+      }
+    } catch (error) {
+      console.error(error);
+      if (!res.headersSent) {
+        sendJson(res, 500, { message: "Internal server error" });
+      }
+    }
+  });
+}
+
+const port = Number(process.env.PORT) || 4010;
+createServer().listen(port, () => {
+  console.log(`Mock EduTrace server listening on http://localhost:${port}`);
+});
@@ -0,0 +1,348 @@
+import crypto from "crypto";
+
+/**
+ * In-memory data for the mock EduTrace app
+ * Everything resets when the server restarts, which keeps runs deterministic
+ */
+const SEED_USERS = [
+  {
+    id: 1,
+    name: "Milo Green",
+    email: "user@edutrace.test",
+    password: "Password@23",
+    role: "user",
+  },
+  {
+    id: 2,
+    name: "Sade Bello",
+    email: "student@edutrace.test",
+    password: "Password@23",
+    role: "student",
+  },
+  {
+    id: 3,
+    name: "Tunde Okafor",
+    email: "teacher@edutrace.test",
+    password: "Password@23",
+    role: "teacher",
+  },
+  {
+    id: 4,
+    name: "Ada Eze",
+    email: "admin@edutrace.test",
+    password: "Password@23",
+    role: "admin",
+  },
+  // Only used by the brute-force tests, which lock it on purpose
+  {
+    id: 5,
+    name: "Lena Okoro",
+    email: "lockout@edutrace.test",
+    password: "Password@23",
+    role: "user",
+  },
+];
+
+export const COURSES = [
+  { slug: "mathematics", name: "Mathematics", students: 18 },
+  { slug: "english-language", name: "English Language", students: 14 },
+  { slug: "basic-science", name: "Basic Science", students: 10 },
+];
+
+export const users = new Map(SEED_USERS.map((user) => [user.email, user]));
+export const sessions = new Map();
+
+/**
+ * Look up a user by email and password, or null when they don't match
+ */
+export function authenticate(email, password) {
+  const user = users.get(String(email || "").toLowerCase());
+  if (!user || user.password !== password) {
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Start a session for the user and return its id
+ */
+export function createSession(user) {
+  const id = crypto.randomBytes(24).toString("hex");
+  sessions.set(id, { userId: user.id, email: user.email });
+  return id;
+}
+
+/**
+ * Resolve a session id to its user, or null when unknown or ended
+ */
+export function sessionUser(id) {
+  const session = id && sessions.get(id);
+  return session ? users.get(session.email) ?? null : null;
+}
+
+/**
+ * End a session so its cookie can no longer be used
+ */
+export function destroySession(id) {
+  if (id) {
+    sessions.delete(id);
+  }
+}
+
+/**
+ * The public shape of a user returned by the API
+ */
+export function publicUser(user) {
+  const { password, ...rest } = user;
+  return rest;
+}
+
+export const PASSWORD_POLICY =
+  "Password must be at least 8 characters and include upper and lower case letters, a number and a symbol";
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+
+// token -> { email, expiresAt, used }
+const resetTokens = new Map();
+// Every email the app "sent", newest last (see the mail catcher routes)
+export const mails = [];
+
+/**
+ * What is wrong with a new password, or null when it meets the policy
+ */
+export function passwordProblem(password) {
+  const value = String(password || "");
+  const ok =
+    value.length >= 8 &&
+    /[a-z]/.test(value) &&
+    /[A-Z]/.test(value) &&
+    /\d/.test(value) &&
+    /[^A-Za-z0-9]/.test(value);
+  return ok ? null : PASSWORD_POLICY;
+}
+
+let nextId = 1000;
+
+/**
+ * Add an account, or return null when the email is taken
+ * `runId` tags accounts made by a test run so they can be removed together
+ */
+export function createUser({ name, email, password, role = "user", runId }) {
+  const key = String(email || "").toLowerCase();
+  if (!key || users.has(key)) {
+    return null;
+  }
+  const user = {
+    id: nextId++,
+    name: name || key.split("@")[0],
+    email: key,
+    password,
+    role,
+  };
+  if (runId) {
+    user.runId = runId;
+  }
+  users.set(key, user);
+  return user;
+}
+
+/**
+ * Change a user's password and end all of their sessions
+ */
+export function setPassword(user, password) {
+  user.password = password;
+  for (const [id, session] of sessions) {
+    if (session.email === user.email) {
+      sessions.delete(id);
+    }
+  }
+}
+
+/**
+ * Issue a single-use password reset token for the user
+ */
+export function createResetToken(user, now = Date.now()) {
+  const token = crypto.randomBytes(24).toString("hex");
+  resetTokens.set(token, {
+    email: user.email,
+    expiresAt: now + RESET_TOKEN_TTL_MS,
+    used: false,
+  });
+  return token;
+}
+
+/**
+ * The user a reset token belongs to, or null when it is unknown, used or
+ * expired
+ */
+export function resetTokenUser(token, now = Date.now()) {
+  const entry = token && resetTokens.get(token);
+  if (!entry || entry.used || entry.expiresAt <= now) {
+    return null;
+  }
+  return users.get(entry.email) ?? null;
+}
+
+/**
+ * Mark a reset token as used so its link stops working
+ */
+export function consumeResetToken(token) {
+  const entry = resetTokens.get(token);
+  if (entry) {
+    entry.used = true;
+  }
+}
+
+/**
+ * Record an outgoing email
+ */
+export function sendMail({ to, subject, body }) {
+  mails.push({
+    id: crypto.randomBytes(8).toString("hex"),
+    from: "no-reply@edutrace.test",
+    to,
+    subject,
+    body,
+    created: new Date().toISOString(),
+  });
+}
+
+// Classes and enrolments only exist for test data; the seeded courses are
+// in COURSES
+export const classes = new Map();
+export const enrolments = new Map();
+
+const SEED_EMAILS = new Set(SEED_USERS.map((user) => user.email));
+
+export function userById(id) {
+  return [...users.values()].find((user) => String(user.id) === String(id));
+}
+
+/**
+ * Remove an account with its sessions and enrolments
+ * Seeded accounts can't be removed; returns whether anything was
+ */
+export function deleteUser(id) {
+  const user = userById(id);
+  if (!user || SEED_EMAILS.has(user.email)) {
+    return false;
+  }
+  users.delete(user.email);
+  for (const [sessionId, session] of sessions) {
+    if (session.email === user.email) {
+      sessions.delete(sessionId);
+    }
+  }
+  for (const enrolment of [...enrolments.values()]) {
+    if (enrolment.userId === user.id) {
+      enrolments.delete(enrolment.id);
+    }
+  }
+  return true;
+}
+
+/**
+ * Add a class, optionally with a teacher; null when the teacher is unknown
+ */
+export function createClass({ name, teacherId, runId }) {
+  if (teacherId != null && !userById(teacherId)) {
+    return null;
+  }
+  const id = nextId++;
+  const entry = {
+    id,
+    name: name || `Class ${id}`,
+    teacherId: teacherId ?? null,
+  };
+  if (runId) {
+    entry.runId = runId;
+  }
+  classes.set(id, entry);
+  return entry;
+}
+
+/**
+ * Remove a class and its enrolments; returns whether it existed
+ */
+export function deleteClass(id) {
+  const entry = classes.get(Number(id));
+  if (!entry) {
+    return false;
+  }
+  classes.delete(entry.id);
+  for (const enrolment of [...enrolments.values()]) {
+    if (enrolment.classId === entry.id) {
+      enrolments.delete(enrolment.id);
+    }
+  }
+  return true;
+}
+
+/**
+ * Enrol a user in a class; null when either is unknown
+ */
+export function createEnrolment({ classId, userId, runId }) {
+  const entry = classes.get(Number(classId));
+  const user = userById(userId);
+  if (!entry || !user) {
+    return null;
+  }
+  const enrolment = { id: nextId++, classId: entry.id, userId: user.id };
+  if (runId) {
+    enrolment.runId = runId;
+  }
+  enrolments.set(enrolment.id, enrolment);
+  return enrolment;
+}
+
+export function deleteEnrolment(id) {
+  return enrolments.delete(Number(id));
+}
+
+/**
+ * The classes a user teaches or is enrolled in
+ */
+export function classesFor(user) {
+  const enrolled = new Set(
+    [...enrolments.values()]
+      .filter((enrolment) => enrolment.userId === user.id)
+      .map((enrolment) => enrolment.classId)
+  );
+  return [...classes.values()].filter(
+    (entry) => entry.teacherId === user.id || enrolled.has(entry.id)
+  );
+}
+
+/**
+ * Everything tagged with a run ID, plus accounts whose email contains it
+ * (e.g. signed up through the UI by that run)
+ */
+export function runData(runId) {
+  if (!runId) {
+    return { users: [], classes: [], enrolments: [] };
+  }
+  const tagged = (entry) => entry.runId === runId;
+  return {
+    users: [...users.values()]
+      .filter(
+        (user) => tagged(user) || user.email.includes(runId.toLowerCase())
+      )
+      .map(publicUser),
+    classes: [...classes.values()].filter(tagged),
+    enrolments: [...enrolments.values()].filter(tagged),
+  };
+}
+
+/**
+ * Remove everything runData() finds and return how much of each
+ */
+export function deleteRun(runId) {
+  const data = runData(runId);
+  data.enrolments.forEach((enrolment) => deleteEnrolment(enrolment.id));
+  data.classes.forEach((entry) => deleteClass(entry.id));
+  const removedUsers = data.users.filter((user) => deleteUser(user.id));
+  return {
+    users: removedUsers.length,
+    classes: data.classes.length,
+    enrolments: data.enrolments.length,
+  };
+}
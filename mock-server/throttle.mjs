@@ -0,0 +1,125 @@
+/**
+ * Brute-force protection for the mock login API
+ * Thresholds come from the environment (set by playwright.config.js from the
+ * test profile); a threshold of 0 or unset turns that protection off
+ *
+ * - Lockout: after LOCKOUT_MAX_ATTEMPTS failed logins for one account from
+ *   one client, that account is locked for that client for LOCKOUT_COOLDOWN_MS.
+ *   Failures are forgotten after LOCKOUT_WINDOW_MS without a new one, so
+ *   failed logins spread over a long run don't add up to a lockout
+ * - Rate limit: after RATE_LIMIT_MAX_ATTEMPTS failed logins from one client
+ *   within RATE_LIMIT_WINDOW_MS, every login from it is refused until the
+ *   window ends
+ *
+ * The client is the first X-Forwarded-For address, or the socket address, so
+ * tests can act as separate clients without tripping each other
+ */
+
+export const LOCKOUT = {
+  maxAttempts: Number(process.env.LOCKOUT_MAX_ATTEMPTS) || 0,
+  cooldownMs: Number(process.env.LOCKOUT_COOLDOWN_MS) || 0,
+  windowMs: Number(process.env.LOCKOUT_WINDOW_MS) || 0,
+};
+
+export const RATE_LIMIT = {
+  maxAttempts: Number(process.env.RATE_LIMIT_MAX_ATTEMPTS) || 0,
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 0,
+};
+
+// `${email}|${client}` -> { failures, lastFailure, lockedUntil }
+const accounts = new Map();
+// client -> { failures, windowStart }
+const clients = new Map();
+
+/**
+ * Identify the client a request comes from
+ */
+export function clientId(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (forwarded) {
+    return String(forwarded).split(",")[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+function accountKey(email, client) {
+  return `${String(email || "").toLowerCase()}|${client}`;
+}
+
+/**
+ * Whether an account's failures are old enough to forget
+ */
+function isQuiet(entry, now) {
+  return (
+    !entry.lockedUntil &&
+    LOCKOUT.windowMs > 0 &&
+    now - entry.lastFailure >= LOCKOUT.windowMs
+  );
+}
+
+/**
+ * Milliseconds until the account is unlocked for this client, 0 when it isn't
+ */
+export function lockedFor(email, client, now = Date.now()) {
+  const entry = accounts.get(accountKey(email, client));
+  if (!entry || !entry.lockedUntil) {
+    return 0;
+  }
+  if (entry.lockedUntil <= now) {
+    accounts.delete(accountKey(email, client));
+    return 0;
+  }
+  return entry.lockedUntil - now;
+}
+
+/**
+ * Milliseconds until the client may try again, 0 when it isn't throttled
+ */
+export function throttledFor(client, now = Date.now()) {
+  const entry = clients.get(client);
+  if (!entry || !RATE_LIMIT.maxAttempts) {
+    return 0;
+  }
+  const windowEnd = entry.windowStart + RATE_LIMIT.windowMs;
+  if (windowEnd <= now) {
+    clients.delete(client);
+    return 0;
+  }
+  return entry.failures >= RATE_LIMIT.maxAttempts ? windowEnd - now : 0;
+}
+
+/**
+ * Count a failed login against the account and the client
+ */
+export function recordFailure(email, client, now = Date.now()) {
+  if (LOCKOUT.maxAttempts) {
+    const key = accountKey(email, client);
+    const previous = accounts.get(key);
+    const entry =
+      previous && !isQuiet(previous, now)
+        ? previous
+        : { failures: 0, lastFailure: 0, lockedUntil: 0 };
+    entry.failures += 1;
+    entry.lastFailure = now;
+    if (entry.failures >= LOCKOUT.maxAttempts) {
+      entry.lockedUntil = now + LOCKOUT.cooldownMs;
+    }
+    accounts.set(key, entry);
+  }
+
+  if (RATE_LIMIT.maxAttempts) {
+    const entry = clients.get(client);
+    if (!entry || entry.windowStart + RATE_LIMIT.windowMs <= now) {
+      clients.set(client, { failures: 1, windowStart: now });
+    } else {
+      entry.failures += 1;
+    }
+  }
+}
+
+/**
+ * Forget the failures for an account after a successful login
+ */
+export function clearFailures(email, client) {
+  accounts.delete(accountKey(email, client));
+}
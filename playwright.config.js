@@ -1,4 +1,13 @@
 import { defineConfig, devices } from '@playwright/test';
+import { env } from './config/env.js';
+import { LOCALES } from './config/locales.js';
+
+/* API-level specs run in their own browserless project */
+const API_SPECS = /.*\.api\.spec\.js/;
+/* Emulated phones and tablets only run the responsive layout specs */
+const RESPONSIVE_SPECS = /.*responsive\.spec\.js/;
+/* Locale projects only run the localization specs */
+const LOCALE_SPECS = /.*localization\.spec\.js/;
 
 /**
  * @see https://playwright.dev/docs/test-configuration
@@ -7,6 +16,8 @@ export default defineConfig({
   testDir: './tests',
   /* Run tests in files in parallel */
   fullyParallel: true,
+  /* Remove the test data this run left behind (see tests/support/data-factory.js) */
+  globalTeardown: './tests/global-teardown.js',
   /* Fail the build on CI if you accidentally left test.only in the source code. */
   forbidOnly: !!process.env.CI,
   /* Retry failed tests - helps with intermittent failures */
@@ -14,11 +25,31 @@ export default defineConfig({
   /* Opt out of parallel tests on CI. */
   workers: process.env.CI ? 1 : undefined,
   /* Reporter to use. See https://playwright.dev/docs/test-reporters */
-  reporter: 'html',
+  reporter: [
+    ['html'],
+    /* Which selector strategy found each page object element, written to reports/ */
+    ['./reporters/selector-health.js'],
+    /* Test-case ID x browser matrix against config/requirements.json, written to reports/ */
+    ['./reporters/traceability.js'],
+    /* Warnings, notes and skip reasons grouped across browsers. Fail on some with ANNOTATIONS_FAIL_ON */
+    ['./reporters/annotations.js'],
+    /* Web Vitals per page against config/performance-budgets.json, appended to reports/performance-history.json */
+    ['./reporters/performance.js'],
+  ],
+  /* Never write screenshot baselines during a normal run; record them with npm run test:visual:update. */
+  updateSnapshots: 'none',
+  /* Visual regression: share of pixels allowed to differ from the baseline. Override with VISUAL_MAX_DIFF_RATIO. */
+  expect: {
+    toHaveScreenshot: {
+      maxDiffPixelRatio: Number(process.env.VISUAL_MAX_DIFF_RATIO ?? 0.01),
+      animations: 'disabled',
+      caret: 'hide',
+    },
+  },
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
   use: {
-    /* Base URL to use in actions like `await page.goto('/')`. */
-    baseURL: 'https://edutrace.feature.marimaxglobal.ng',
+    /* Base URL to use in actions like `await page.goto('/')`. Comes from the TEST_ENV profile. */
+    baseURL: env.baseURL,
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: 'on-first-retry',
     screenshot: 'only-on-failure',
@@ -26,27 +57,93 @@ export default defineConfig({
 
   /* Configure projects for major browsers */
   projects: [
+    /* Log in once per role and save the session for the browser projects */
+    {
+      name: 'setup',
+      testMatch: /.*\.setup\.js/,
+    },
+
     {
       name: 'chromium',
       use: { ...devices['Desktop Chrome'] },
+      testIgnore: API_SPECS,
+      dependencies: ['setup'],
     },
 
     {
       name: 'firefox',
       use: { ...devices['Desktop Firefox'] },
+      testIgnore: API_SPECS,
+      dependencies: ['setup'],
     },
 
     {
       name: 'webkit',
       use: { ...devices['Desktop Safari'] },
+      testIgnore: API_SPECS,
+      dependencies: ['setup'],
+    },
+
+    /* Phones and tablets: viewport, touch, device pixel ratio and user agent from the device presets */
+    {
+      name: 'mobile-chrome',
+      use: { ...devices['Pixel 7'] },
+      testMatch: RESPONSIVE_SPECS,
+      dependencies: ['setup'],
+    },
+
+    {
+      name: 'mobile-safari',
+      use: { ...devices['iPhone 14'] },
+      testMatch: RESPONSIVE_SPECS,
+      dependencies: ['setup'],
+    },
+
+    {
+      name: 'tablet-chrome',
+      use: { ...devices['Galaxy Tab S4'] },
+      testMatch: RESPONSIVE_SPECS,
+      dependencies: ['setup'],
+    },
+
+    {
+      name: 'tablet-safari',
+      use: { ...devices['iPad (gen 7)'] },
+      testMatch: RESPONSIVE_SPECS,
+      dependencies: ['setup'],
+    },
+
+    /* One project per entry in config/locales.js: browser locale, timezone and expected text direction */
+    ...LOCALES.map(({ name, locale, timezoneId, direction }) => ({
+      name: `locale-${name}`,
+      use: { ...devices['Desktop Chrome'], locale, timezoneId, textDirection: direction },
+      testMatch: LOCALE_SPECS,
+      dependencies: ['setup'],
+    })),
+
+    /* Auth API contract tests, reported apart from the browser projects */
+    {
+      name: 'api',
+      testMatch: API_SPECS,
     },
   ],
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Start the bundled mock EduTrace app when running against the mock profile */
+  webServer: env.mockServer
+    ? {
+        command: 'node mock-server/server.mjs',
+        url: `${env.baseURL}/health`,
+        env: {
+          PORT: new URL(env.baseURL).port,
+          /* Brute-force thresholds come from the profile so tests and server agree */
+          LOCKOUT_MAX_ATTEMPTS: String(env.bruteForce?.lockout?.maxAttempts ?? 0),
+          LOCKOUT_COOLDOWN_MS: String(env.bruteForce?.lockout?.cooldownMs ?? 0),
+          LOCKOUT_WINDOW_MS: String(env.bruteForce?.lockout?.windowMs ?? 0),
+          RATE_LIMIT_MAX_ATTEMPTS: String(env.bruteForce?.rateLimit?.maxAttempts ?? 0),
+          RATE_LIMIT_WINDOW_MS: String(env.bruteForce?.rateLimit?.windowMs ?? 0),
+        },
+        reuseExistingServer: !process.env.CI,
+      }
+    : undefined,
 });
 
@@ -0,0 +1,253 @@
+import path from "path";
+import { markdownCell, resolveFromConfig, writeReport } from "./output.js";
+
+const DEFAULT_TYPES = ["warning", "note", "info", "skip", "fixme"];
+
+/**
+ * Parse fail-on rules: "warning" matches every warning, "warning:Selector
+ * fallback" only warnings whose description contains "Selector fallback"
+ * Throws on a rule whose type is not collected, since it could never match
+ */
+export function parseFailOn(rules, types = DEFAULT_TYPES) {
+  const list = typeof rules === "string" ? rules.split(",") : rules ?? [];
+  const trimmed = list.map((rule) => rule.trim()).filter(Boolean);
+
+  const unknown = trimmed.filter(
+    (rule) => !types.includes(rule.split(":")[0].trim())
+  );
+  if (unknown.length > 0) {
+    const names = unknown.map((rule) => `"${rule}"`).join(", ");
+    throw new Error(
+      `Annotation fail-on rule(s) ${names} name a type that is not ` +
+        `collected. Use one of ${types.join(", ")} or add the type to the ` +
+        "reporter's types option"
+    );
+  }
+
+  return trimmed.map((rule) => {
+    const [type, ...text] = rule.split(":");
+    return { type: type.trim(), text: text.join(":").trim() };
+  });
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Annotation summary reporter
+ * Collects the annotations tests add through `test.info().annotations`
+ * (and skip/fixme reasons) and groups them by type and test across browser
+ * projects, so a warning raised in three browsers shows up once with the
+ * browsers listed
+ *
+ * Prints the summary at the end of the run and writes annotations.md and
+ * annotations.junit.xml (one testcase per test, annotations as properties) to
+ * `outputFolder` (default reports/)
+ *
+ * `failOn` (or ANNOTATIONS_FAIL_ON, comma separated) fails the run when a
+ * matching annotation appears, e.g. "warning:Selector fallback"
+ */
+export default class AnnotationSummaryReporter {
+  constructor(options = {}) {
+    this.types = options.types ?? DEFAULT_TYPES;
+    this.outputFolder = options.outputFolder ?? "reports";
+    this.failOn = parseFailOn(
+      process.env.ANNOTATIONS_FAIL_ON ?? options.failOn,
+      this.types
+    );
+    this.tests = new Map();
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  onBegin(config) {
+    this.outputDir = resolveFromConfig(config, this.outputFolder);
+    this.rootDir = config.rootDir;
+  }
+
+  onTestEnd(test, result) {
+    // Retries replace the earlier attempt's annotations
+    const annotations = (result.annotations ?? test.annotations).filter(
+      (annotation) => this.types.includes(annotation.type)
+    );
+    this.tests.set(test.id, { test, annotations });
+  }
+
+  /**
+   * Annotations grouped by type, then test, then description, with the
+   * browser projects each one was seen in
+   */
+  summary() {
+    const byType = new Map(this.types.map((type) => [type, new Map()]));
+
+    for (const { test, annotations } of this.tests.values()) {
+      const browser = test.parent.project()?.name ?? "";
+      const file = path.relative(this.rootDir, test.location.file);
+      const title = `${file} › ${test.titlePath().slice(3).join(" › ")}`;
+
+      for (const annotation of annotations) {
+        const tests = byType.get(annotation.type);
+        if (!tests.has(title)) {
+          tests.set(title, new Map());
+        }
+        const description = annotation.description ?? "";
+        const descriptions = tests.get(title);
+        if (!descriptions.has(description)) {
+          descriptions.set(description, new Set());
+        }
+        descriptions.get(description).add(browser);
+      }
+    }
+
+    return [...byType]
+      .map(([type, tests]) => ({
+        type,
+        count: [...tests.values()].reduce((sum, items) => sum + items.size, 0),
+        tests: [...tests].map(([title, descriptions]) => ({
+          title,
+          annotations: [...descriptions].map(([description, browsers]) => ({
+            description,
+            browsers: [...browsers].filter(Boolean).sort(),
+          })),
+        })),
+      }))
+      .filter((group) => group.count > 0);
+  }
+
+  /**
+   * Annotations matching one of the fail-on rules
+   */
+  failures(summary) {
+    const failures = [];
+    for (const group of summary) {
+      for (const test of group.tests) {
+        for (const annotation of test.annotations) {
+          const matches = this.failOn.some(
+            (rule) =>
+              rule.type === group.type &&
+              annotation.description.includes(rule.text)
+          );
+          if (matches) {
+            failures.push({ type: group.type, title: test.title, annotation });
+          }
+        }
+      }
+    }
+    return failures;
+  }
+
+  console(summary) {
+    const lines = ["", "Annotations:"];
+    for (const group of summary) {
+      lines.push(`  ${group.type} (${group.count})`);
+      for (const test of group.tests) {
+        lines.push(`    ${test.title}`);
+        for (const annotation of test.annotations) {
+          const browsers = annotation.browsers.join(", ");
+          lines.push(
+            `      - ${annotation.description || "(no description)"}` +
+              (browsers ? ` [${browsers}]` : "")
+          );
+        }
+      }
+    }
+    return lines.join("\n");
+  }
+
+  markdown(summary) {
+    const lines = ["# Annotations", ""];
+    for (const group of summary) {
+      lines.push(
+        `## ${group.type} (${group.count})`,
+        "",
+        "| Test | Annotation | Browsers |",
+        "| --- | --- | --- |"
+      );
+      for (const test of group.tests) {
+        for (const annotation of test.annotations) {
+          lines.push(
+            `| ${markdownCell(test.title)} | ` +
+              `${markdownCell(annotation.description)} | ` +
+              `${annotation.browsers.join(", ")} |`
+          );
+        }
+      }
+      lines.push("");
+    }
+    return lines.join("\n");
+  }
+
+  junit(summary) {
+    const property = (indent, name, value) =>
+      `${indent}<property name="${escapeXml(name)}" value="${escapeXml(
+        value
+      )}"/>`;
+
+    const cases = new Map();
+    for (const group of summary) {
+      for (const test of group.tests) {
+        if (!cases.has(test.title)) {
+          cases.set(test.title, []);
+        }
+        for (const annotation of test.annotations) {
+          const browsers = annotation.browsers.join(",");
+          const value = browsers
+            ? `${annotation.description} [${browsers}]`
+            : annotation.description;
+          cases.get(test.title).push(property("        ", group.type, value));
+        }
+      }
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<testsuites name="annotations">',
+      `  <testsuite name="annotations" tests="${cases.size}">`,
+      "    <properties>",
+      ...summary.map((group) =>
+        property("      ", `annotations.${group.type}`, group.count)
+      ),
+      "    </properties>",
+      ...[...cases].flatMap(([title, properties]) => [
+        `    <testcase name="${escapeXml(title)}" classname="annotations">`,
+        "      <properties>",
+        ...properties,
+        "      </properties>",
+        "    </testcase>",
+      ]),
+      "  </testsuite>",
+      "</testsuites>",
+      "",
+    ].join("\n");
+  }
+
+  onEnd() {
+    const summary = this.summary();
+    if (summary.length > 0) {
+      console.log(this.console(summary));
+    }
+    writeReport(this.outputDir, "annotations.md", this.markdown(summary));
+    writeReport(this.outputDir, "annotations.junit.xml", this.junit(summary));
+
+    const failures = this.failures(summary);
+    if (failures.length > 0) {
+      console.log(
+        `\n${failures.length} annotation(s) match the fail-on rules, failing the run:\n` +
+          failures
+            .map(
+              (item) =>
+                `  [${item.type}] ${item.title}: ${item.annotation.description}`
+            )
+            .join("\n")
+      );
+      return { status: "failed" };
+    }
+  }
+}
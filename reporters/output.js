@@ -0,0 +1,44 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Helpers shared by the custom reporters
+ */
+
+/**
+ * Resolve a reporter option path (output folder, input file) against the
+ * config file's directory, like the built-in HTML reporter does
+ */
+export function resolveFromConfig(config, relativePath) {
+  const configDir = config.configFile
+    ? path.dirname(config.configFile)
+    : config.rootDir;
+  return path.resolve(configDir, relativePath);
+}
+
+/**
+ * Write one report file, creating the folder when needed
+ * Objects are written as pretty-printed JSON
+ */
+export function writeReport(dir, name, body) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, name),
+    typeof body === "string" ? body : JSON.stringify(body, null, 2)
+  );
+}
+
+/**
+ * Make text safe for a Markdown table cell
+ */
+export function markdownCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+/**
+ * Quote a CSV field when it needs it
+ */
+export function csvField(text) {
+  const value = String(text ?? "");
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
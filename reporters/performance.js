@@ -0,0 +1,239 @@
+import fs from "fs";
+import path from "path";
+import { DEFAULT_ENVIRONMENT } from "../config/environments.js";
+import { METRICS } from "../tests/support/performance.js";
+import { markdownCell, resolveFromConfig, writeReport } from "./output.js";
+
+/**
+ * Performance reporter
+ * Collects the performance.json attachments written by the performance
+ * monitor (see tests/support/performance.js), adds the run to a JSON
+ * history and compares it with the previous run on the same environment
+ *
+ * Writes performance.md to `outputFolder` (default reports/) and appends
+ * the run to `historyFile` (default reports/performance-history.json),
+ * keeping the last `maxRuns` runs (default 50). Keep the history file
+ * between CI runs (cache or artifact) to see trends
+ */
+
+function median(values) {
+  const sorted = values.filter((value) => value != null).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+export default class PerformanceReporter {
+  constructor(options = {}) {
+    this.outputFolder = options.outputFolder ?? "reports";
+    this.historyFile =
+      options.historyFile ?? "reports/performance-history.json";
+    this.maxRuns = options.maxRuns ?? 50;
+    // `${project} ${path}` -> { project, path, budget, samples: [] }
+    this.pages = new Map();
+    // `${project} ${name}` -> { project, name, budget, samples: [] }
+    this.flows = new Map();
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  onBegin(config) {
+    this.outputDir = resolveFromConfig(config, this.outputFolder);
+    this.historyPath = resolveFromConfig(config, this.historyFile);
+    this.startedAt = new Date().toISOString();
+  }
+
+  onTestEnd(test, result) {
+    const attachment = result.attachments.find(
+      (item) => item.name === "performance.json"
+    );
+    if (!attachment) {
+      return;
+    }
+    const body = attachment.body ?? fs.readFileSync(attachment.path);
+    const project = test.parent.project()?.name ?? "";
+    const { pages = [], flows = [] } = JSON.parse(body.toString());
+
+    for (const entry of pages) {
+      this.sample(this.pages, project, "path", entry.path, entry);
+    }
+    for (const entry of flows) {
+      this.sample(this.flows, project, "name", entry.name, entry);
+    }
+  }
+
+  sample(groups, project, keyName, key, entry) {
+    const id = `${project} ${key}`;
+    if (!groups.has(id)) {
+      groups.set(id, {
+        project,
+        [keyName]: key,
+        budget: entry.budget,
+        samples: [],
+      });
+    }
+    groups.get(id).samples.push(entry);
+  }
+
+  /**
+   * This run: the median of every metric per project and page or flow
+   */
+  run(status) {
+    const pages = [...this.pages.values()].map((group) => {
+      const metrics = {};
+      for (const metric of METRICS) {
+        metrics[metric] = median(
+          group.samples.map((sample) => sample.metrics[metric])
+        );
+      }
+      return {
+        project: group.project,
+        path: group.path,
+        samples: group.samples.length,
+        metrics,
+        budget: group.budget,
+        overBudget: METRICS.filter(
+          (metric) =>
+            metrics[metric] != null &&
+            group.budget?.[metric] != null &&
+            metrics[metric] > group.budget[metric]
+        ),
+      };
+    });
+    const flows = [...this.flows.values()].map((group) => {
+      const duration = median(group.samples.map((sample) => sample.duration));
+      return {
+        project: group.project,
+        name: group.name,
+        samples: group.samples.length,
+        duration,
+        budget: group.budget,
+        overBudget: group.budget != null && duration > group.budget,
+      };
+    });
+    return {
+      startedAt: this.startedAt,
+      environment: process.env.TEST_ENV || DEFAULT_ENVIRONMENT,
+      commit: process.env.GITHUB_SHA ?? null,
+      status,
+      pages,
+      flows,
+    };
+  }
+
+  readHistory() {
+    try {
+      return JSON.parse(fs.readFileSync(this.historyPath, "utf8")).runs ?? [];
+    } catch {
+      return [];
+    }
+  }
+
+  markdown(run, previous) {
+    const findPage = (entry) =>
+      previous?.pages.find(
+        (item) => item.project === entry.project && item.path === entry.path
+      );
+    const findFlow = (entry) =>
+      previous?.flows.find(
+        (item) => item.project === entry.project && item.name === entry.name
+      );
+    const cell = (value, before, budget) => {
+      if (value == null) {
+        return "-";
+      }
+      let text = String(Math.round(value * 1000) / 1000);
+      if (before != null) {
+        const delta = Math.round((value - before) * 1000) / 1000;
+        text += ` (${delta >= 0 ? "+" : ""}${delta})`;
+      }
+      return budget != null && value > budget
+        ? `**${text}** > ${budget}`
+        : text;
+    };
+
+    const lines = [
+      "# Performance",
+      "",
+      `Run ${run.startedAt} on ${run.environment}` +
+        (previous
+          ? `, compared with ${previous.startedAt} (change in brackets)`
+          : ", no earlier run to compare with"),
+      "",
+      "Times in ms. Values over budget are in bold with the budget after them",
+      "",
+      `| Project | Page | ${METRICS.join(" | ")} |`,
+      `| --- | --- | ${METRICS.map(() => "---").join(" | ")} |`,
+    ];
+    for (const entry of run.pages) {
+      const before = findPage(entry)?.metrics ?? {};
+      const cells = METRICS.map((metric) =>
+        cell(entry.metrics[metric], before[metric], entry.budget?.[metric])
+      );
+      lines.push(
+        `| ${entry.project} | ${markdownCell(entry.path)} | ${cells.join(
+          " | "
+        )} |`
+      );
+    }
+
+    if (run.flows.length > 0) {
+      lines.push("", "| Project | Flow | Duration |", "| --- | --- | --- |");
+      for (const entry of run.flows) {
+        lines.push(
+          `| ${entry.project} | ${markdownCell(entry.name)} | ${cell(
+            entry.duration,
+            findFlow(entry)?.duration,
+            entry.budget
+          )} |`
+        );
+      }
+    }
+    lines.push("");
+    return lines.join("\n");
+  }
+
+  onEnd(result) {
+    if (this.pages.size === 0 && this.flows.size === 0) {
+      return;
+    }
+    const run = this.run(result.status);
+    const history = this.readHistory();
+    const previous = history
+      .filter((item) => item.environment === run.environment)
+      .at(-1);
+
+    writeReport(this.outputDir, "performance.md", this.markdown(run, previous));
+    writeReport(
+      path.dirname(this.historyPath),
+      path.basename(this.historyPath),
+      {
+        runs: [...history, run].slice(-this.maxRuns),
+      }
+    );
+
+    const over = [
+      ...run.pages.flatMap((entry) =>
+        entry.overBudget.map(
+          (metric) => `${entry.path} ${metric} (${entry.project})`
+        )
+      ),
+      ...run.flows
+        .filter((entry) => entry.overBudget)
+        .map((entry) => `${entry.name} (${entry.project})`),
+    ];
+    if (over.length > 0) {
+      console.log(
+        `\nPerformance: ${over.length} measurement(s) over budget: ${over.join(
+          ", "
+        )}`
+      );
+    }
+  }
+}
@@ -0,0 +1,128 @@
+import fs from "fs";
+import { markdownCell, resolveFromConfig, writeReport } from "./output.js";
+
+/**
+ * Selector health reporter
+ * Collects the selector-health.json attachments written by the page objects
+ * (see tests/support/selectors.js) and summarises, per page and element,
+ * which strategy found it and how often
+ *
+ * Writes selector-health.json and selector-health.md to `outputFolder`
+ * (default reports/, next to the config) and prints the elements that only
+ * resolved through a fallback
+ */
+export default class SelectorHealthReporter {
+  constructor(options = {}) {
+    this.outputFolder = options.outputFolder ?? "reports";
+    this.pages = new Map();
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  onBegin(config) {
+    this.outputDir = resolveFromConfig(config, this.outputFolder);
+  }
+
+  onTestEnd(test, result) {
+    const attachment = result.attachments.find(
+      (item) => item.name === "selector-health.json"
+    );
+    if (!attachment) {
+      return;
+    }
+    const body = attachment.body ?? fs.readFileSync(attachment.path);
+    const project = test.parent.project()?.name ?? "";
+
+    for (const record of JSON.parse(body.toString())) {
+      this.add(record, project);
+    }
+  }
+
+  add(record, project) {
+    if (!this.pages.has(record.page)) {
+      this.pages.set(record.page, new Map());
+    }
+    const elements = this.pages.get(record.page);
+    if (!elements.has(record.element)) {
+      elements.set(record.element, {
+        element: record.element,
+        of: record.of,
+        bestRank: record.rank,
+        worstRank: record.rank,
+        strategies: {},
+        projects: new Set(),
+      });
+    }
+    const entry = elements.get(record.element);
+    entry.bestRank = Math.min(entry.bestRank, record.rank);
+    entry.worstRank = Math.max(entry.worstRank, record.rank);
+    entry.strategies[record.strategy] =
+      (entry.strategies[record.strategy] ?? 0) + 1;
+    entry.projects.add(project);
+  }
+
+  summary() {
+    return [...this.pages].map(([page, elements]) => {
+      const entries = [...elements.values()].map((entry) => ({
+        ...entry,
+        projects: [...entry.projects].filter(Boolean).sort(),
+        status: entry.worstRank === 0 ? "ok" : "fallback",
+      }));
+      return {
+        page,
+        elements: entries.length,
+        fallbacks: entries.filter((entry) => entry.status !== "ok").length,
+        entries,
+      };
+    });
+  }
+
+  markdown(summary) {
+    const lines = ["# Selector health", ""];
+    for (const page of summary) {
+      lines.push(
+        `## ${page.page} (${page.fallbacks} of ${page.elements} element(s) on a fallback)`,
+        "",
+        "| Element | Status | Strategy (hits) | Rank |",
+        "| --- | --- | --- | --- |"
+      );
+      for (const entry of page.entries) {
+        const strategies = Object.entries(entry.strategies)
+          .map(([strategy, hits]) => `\`${markdownCell(strategy)}\` (${hits})`)
+          .join("<br>");
+        const rank =
+          entry.bestRank === entry.worstRank
+            ? `${entry.worstRank + 1}/${entry.of}`
+            : `${entry.bestRank + 1}-${entry.worstRank + 1}/${entry.of}`;
+        lines.push(
+          `| ${entry.element} | ${entry.status} | ${strategies} | ${rank} |`
+        );
+      }
+      lines.push("");
+    }
+    return lines.join("\n");
+  }
+
+  onEnd() {
+    if (this.pages.size === 0) {
+      return;
+    }
+    const summary = this.summary();
+    writeReport(this.outputDir, "selector-health.json", summary);
+    writeReport(this.outputDir, "selector-health.md", this.markdown(summary));
+
+    const fallbacks = summary.flatMap((page) =>
+      page.entries
+        .filter((entry) => entry.status !== "ok")
+        .map((entry) => `${page.page}.${entry.element}`)
+    );
+    if (fallbacks.length > 0) {
+      console.log(
+        `\nSelector health: ${fallbacks.length} element(s) only matched ` +
+          `through a fallback: ${fallbacks.join(", ")}`
+      );
+    }
+  }
+}
@@ -0,0 +1,216 @@
+import fs from "fs";
+import path from "path";
+import {
+  csvField,
+  markdownCell,
+  resolveFromConfig,
+  writeReport,
+} from "./output.js";
+
+// Test-case ID at the start of a title, e.g. "WEB-LOGIN-01: ..." or "WEB-DASH03: ..."
+const ID_PATTERN = /^([A-Z][A-Z0-9]*(?:-[A-Z0-9]+)+)\b/;
+
+// Worst outcome first: one failing test fails the ID in that browser
+const STATUS_ORDER = ["fail", "pass", "skip"];
+
+/**
+ * Map a Playwright test outcome onto the matrix statuses
+ */
+function matrixStatus(test) {
+  switch (test.outcome()) {
+    case "skipped":
+      return "skip";
+    case "unexpected":
+      return "fail";
+    default:
+      return "pass";
+  }
+}
+
+/**
+ * Traceability reporter
+ * Parses the test-case ID that starts each test title and maps it to the
+ * requirements file (config/requirements.json). Writes a traceability matrix
+ * with pass/fail/skip per ID per browser project to `outputFolder`
+ * (default reports/) as JSON, CSV and Markdown
+ *
+ * Requirements without a test in this run and tests without an ID are
+ * listed in the report and printed at the end of the run. IDs found in tests
+ * but missing from the requirements file are reported as unknown
+ */
+export default class TraceabilityReporter {
+  constructor(options = {}) {
+    this.requirementsFile =
+      options.requirementsFile ?? "config/requirements.json";
+    this.outputFolder = options.outputFolder ?? "reports";
+    this.ignoreProjects = options.ignoreProjects ?? ["setup"];
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  onBegin(config, suite) {
+    this.outputDir = resolveFromConfig(config, this.outputFolder);
+    this.rootDir = config.rootDir;
+    this.suite = suite;
+    this.requirements = JSON.parse(
+      fs.readFileSync(resolveFromConfig(config, this.requirementsFile), "utf8")
+    ).requirements;
+  }
+
+  /**
+   * Results of every test, grouped by ID and browser project
+   */
+  collect() {
+    const byId = new Map();
+    const withoutId = new Map();
+    const browsers = new Set();
+
+    for (const test of this.suite.allTests()) {
+      const browser = test.parent.project()?.name ?? "";
+      if (this.ignoreProjects.includes(browser)) {
+        continue;
+      }
+      browsers.add(browser);
+
+      const file = path.relative(this.rootDir, test.location.file);
+      const id = test.title.match(ID_PATTERN)?.[1];
+      if (!id) {
+        const title = test.titlePath().slice(3).join(" › ");
+        withoutId.set(`${file} › ${title}`, { file, title });
+        continue;
+      }
+
+      if (!byId.has(id)) {
+        byId.set(id, { tests: new Set(), results: {} });
+      }
+      const entry = byId.get(id);
+      entry.tests.add(`${file} › ${test.title}`);
+      const status = matrixStatus(test);
+      const previous = entry.results[browser];
+      if (
+        !previous ||
+        STATUS_ORDER.indexOf(status) < STATUS_ORDER.indexOf(previous)
+      ) {
+        entry.results[browser] = status;
+      }
+    }
+
+    return {
+      byId,
+      withoutId: [...withoutId.values()],
+      browsers: [...browsers],
+    };
+  }
+
+  matrix() {
+    const { byId, withoutId, browsers } = this.collect();
+    const known = new Set(this.requirements.map((item) => item.id));
+
+    const row = (id, title) => {
+      const entry = byId.get(id);
+      return {
+        id,
+        title,
+        tests: entry ? [...entry.tests] : [],
+        results: entry?.results ?? {},
+      };
+    };
+
+    const requirements = this.requirements.map((item) =>
+      row(item.id, item.title)
+    );
+    const unknownIds = [...byId.keys()]
+      .filter((id) => !known.has(id))
+      .sort()
+      .map((id) => row(id, ""));
+
+    return {
+      browsers,
+      requirements,
+      untested: requirements
+        .filter((item) => item.tests.length === 0)
+        .map((item) => item.id),
+      unknownIds,
+      testsWithoutId: withoutId,
+    };
+  }
+
+  csv(matrix) {
+    const lines = [["id", "title", ...matrix.browsers, "tests"]];
+    for (const item of [...matrix.requirements, ...matrix.unknownIds]) {
+      lines.push([
+        item.id,
+        item.title,
+        ...matrix.browsers.map(
+          (browser) =>
+            item.results[browser] ?? (item.tests.length ? "" : "no test")
+        ),
+        item.tests.length,
+      ]);
+    }
+    return lines.map((line) => line.map(csvField).join(",")).join("\n") + "\n";
+  }
+
+  markdown(matrix) {
+    const cell = (item, browser) =>
+      item.results[browser] ?? (item.tests.length ? "–" : "**no test**");
+    const lines = [
+      "# Traceability matrix",
+      "",
+      `| ID | Requirement | ${matrix.browsers.join(" | ")} |`,
+      `| --- | --- | ${matrix.browsers.map(() => "---").join(" | ")} |`,
+    ];
+    for (const item of [...matrix.requirements, ...matrix.unknownIds]) {
+      const title = markdownCell(item.title || "_not in requirements_");
+      const cells = matrix.browsers.map((browser) => cell(item, browser));
+      lines.push(`| ${item.id} | ${title} | ${cells.join(" | ")} |`);
+    }
+
+    lines.push(
+      "",
+      `## Requirements without a test (${matrix.untested.length})`,
+      ""
+    );
+    lines.push(...matrix.untested.map((id) => `- ${id}`));
+    lines.push(
+      "",
+      `## Tests without an ID (${matrix.testsWithoutId.length})`,
+      ""
+    );
+    lines.push(
+      ...matrix.testsWithoutId.map(
+        (item) => `- ${markdownCell(item.title)} (\`${item.file}\`)`
+      )
+    );
+    return lines.join("\n") + "\n";
+  }
+
+  onEnd() {
+    const matrix = this.matrix();
+    writeReport(this.outputDir, "traceability.json", matrix);
+    writeReport(this.outputDir, "traceability.csv", this.csv(matrix));
+    writeReport(this.outputDir, "traceability.md", this.markdown(matrix));
+
+    const notes = [];
+    if (matrix.untested.length > 0) {
+      notes.push(
+        `${matrix.untested.length} requirement(s) without a test: ` +
+          matrix.untested.join(", ")
+      );
+    }
+    if (matrix.unknownIds.length > 0) {
+      notes.push(
+        `${matrix.unknownIds.length} ID(s) not in ${this.requirementsFile}: ` +
+          matrix.unknownIds.map((item) => item.id).join(", ")
+      );
+    }
+    if (matrix.testsWithoutId.length > 0) {
+      notes.push(`${matrix.testsWithoutId.length} test(s) without an ID`);
+    }
+    if (notes.length > 0) {
+      console.log(`\nTraceability: ${notes.join("; ")}`);
+    }
+  }
+}
@@ -0,0 +1,68 @@
+import path from "path";
+import { test, expect, env } from "./fixtures.js";
+import { accessOutcome, loadAccessMatrix } from "./support/access.js";
+
+/**
+ * Role-based access control
+ * Generated from tests/data/access-matrix.json: for every role, log in with
+ * that role's saved session, check the menu it gets and open every route
+ * directly to confirm it is allowed, redirected or forbidden. The
+ * "anonymous" row runs without a session, like WEB-DASH03
+ *
+ * Roles without credentials in the active profile are skipped
+ */
+const matrix = loadAccessMatrix(
+  path.join(__dirname, "data", "access-matrix.json")
+);
+
+test.describe("Role-Based Access Control", () => {
+  for (const [role, expected] of Object.entries(matrix.roles)) {
+    const anonymous = role === "anonymous";
+    const id = `RBAC-${role.toUpperCase()}`;
+
+    test.describe(role, () => {
+      test.use({ authRole: anonymous ? null : role });
+      test.skip(
+        !anonymous && !env.credentials[role],
+        `No ${role} account in the "${env.name}" profile ` +
+          `(set EDUTRACE_${role.toUpperCase()}_EMAIL and _PASSWORD)`
+      );
+
+      if (expected.menu) {
+        test(`${id}-MENU: ${role} sees the expected menu`, async ({
+          dashboardPage,
+        }) => {
+          await dashboardPage.goto();
+          expect(dashboardPage.isCurrentPage()).toBe(true);
+
+          const labels = await dashboardPage.menuLabels();
+          expect(labels.sort()).toEqual([...expected.menu].sort());
+        });
+      }
+
+      for (const [route, outcome] of Object.entries(expected.access)) {
+        test(`${id}-ROUTES: ${route} is ${outcome}`, async ({
+          page,
+          pageGuard,
+        }) => {
+          if (outcome === "forbidden") {
+            // The browser logs the refused document load as a console error
+            pageGuard.ignore(/status of 40[13]\b/);
+          }
+
+          const result = await accessOutcome(page, route);
+
+          expect(
+            result.outcome,
+            `${role} opening ${route} landed on ${result.landed} (HTTP ${result.status})`
+          ).toBe(outcome);
+
+          // Logged-in roles that are turned away must not lose their session
+          if (!anonymous && outcome !== "allowed") {
+            expect(result.landed).not.toContain(env.loginPath);
+          }
+        });
+      }
+    });
+  }
+});
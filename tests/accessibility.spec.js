@@ -0,0 +1,61 @@
+import { test, expect, loginRejection } from "./fixtures.js";
+import { auditPage, auditLiveRegion } from "./support/a11y.js";
+
+test.describe("Accessibility Audit", () => {
+  test.describe("Login Page", () => {
+    // A11Y-LOGIN-02 fails a login
+    test.use({
+      authRole: null,
+      isolatedClient: true,
+    });
+
+    /**
+     * Login form: names, roles, alt text, ids, headings, focus
+     */
+    test("A11Y-LOGIN-01: Login page audit", async ({ loginPage }) => {
+      await loginPage.goto();
+
+      const failures = await auditPage(loginPage.page, "login");
+      expect(failures).toEqual([]);
+    });
+
+    /**
+     * The "Unable to login user" alert must be announced to screen readers
+     */
+    test("A11Y-LOGIN-02: Login error is announced", async ({
+      loginPage,
+      pageGuard,
+      testUser,
+    }) => {
+      pageGuard.ignore(loginRejection);
+      await loginPage.goto();
+      await loginPage.fillCredentials(testUser.email, "WrongPassword123!");
+      await loginPage.submitAndWaitForResponse();
+      await expect(loginPage.errorAlert).toBeVisible();
+
+      const failures = await auditPage(loginPage.page, "login-error", {
+        extra: await auditLiveRegion(loginPage.errorAlert.first()),
+      });
+      expect(failures).toEqual([]);
+    });
+  });
+
+  /**
+   * Every page reachable from the dashboard menu
+   */
+  test("A11Y-DASH-01: Dashboard pages audit", async ({
+    page,
+    dashboardPage,
+  }) => {
+    await dashboardPage.goto();
+
+    for (const pathname of await dashboardPage.menuPaths()) {
+      await test.step(`audit ${pathname}`, async () => {
+        await page.goto(pathname);
+        const pageName = pathname.replace(/^\//, "") || "home";
+        const failures = await auditPage(page, pageName);
+        expect.soft(failures, `a11y violations on ${pathname}`).toEqual([]);
+      });
+    }
+  });
+});
@@ -0,0 +1,170 @@
+import path from "path";
+import { test, expect, env, LoginPage } from "./fixtures.js";
+import { contractErrors, jsonBody } from "./support/api-contract.js";
+import { fillScenario, loadScenarios } from "./support/scenarios.js";
+
+/**
+ * Auth API contract
+ * Calls the login, current-user and logout endpoints directly with the
+ * `request` fixture and checks status codes and bodies against the schemas
+ * in tests/data/api-schemas/. Runs in the browserless "api" project, so a
+ * broken API shows up there and not only as a UI failure
+ *
+ * Every rejected row of the data-driven login scenarios is replayed against
+ * the login API as well. Tests log in as their own testUser
+ */
+const rejected = loadScenarios(
+  path.join(__dirname, "data", "login-scenarios"),
+  {
+    schema: path.join(__dirname, "data", "login-scenarios.schema.json"),
+    credentials: env.credentials,
+    keep: ["user"],
+  }
+).filter((scenario) => scenario.expected !== "redirect");
+
+/**
+ * Log in through the API and return the response
+ * @param {import("@playwright/test").APIRequestContext} request
+ */
+function login(request, data) {
+  return request.post(env.loginApiPath, { data });
+}
+
+/**
+ * Assert a refused call: a 4xx status and an error body matching the
+ * contract. Returns the body
+ */
+async function expectError(response, status) {
+  expect(response.status(), `${response.url()} answered`).toBe(status);
+  const body = await jsonBody(response);
+  expect(body, "error body is not JSON").not.toBeNull();
+  expect(contractErrors("error-response", body)).toEqual([]);
+  return body;
+}
+
+test.describe("Auth API", () => {
+  test.skip(
+    !env.loginApiPath || !env.meApiPath || !env.logoutApiPath,
+    `No login, current-user or logout API path in the "${env.name}" profile`
+  );
+  // Every test starts without a session, as its own client
+  test.use({
+    authRole: null,
+    isolatedClient: true,
+  });
+
+  /**
+   * API-AUTH-01: Login
+   * Expected: Valid credentials get a 200 with the user (no password) and a
+   * session cookie
+   */
+  test("API-AUTH-01: Login returns the user and a session cookie", async ({
+    request,
+    testUser,
+  }) => {
+    const { email, password } = testUser;
+    const response = await login(request, { email, password });
+    expect(response.status()).toBe(200);
+
+    const body = await jsonBody(response);
+    expect(contractErrors("login-response", body)).toEqual([]);
+    expect(body.user.email.toLowerCase()).toBe(email.toLowerCase());
+
+    const { cookies } = await request.storageState();
+    const names = cookies.map((cookie) => cookie.name);
+    if (env.sessionCookie) {
+      expect(names).toContain(env.sessionCookie);
+    } else {
+      expect(names.length, "no cookie set by login").toBeGreaterThan(0);
+    }
+  });
+
+  /**
+   * API-AUTH-02: Current user
+   * Expected: With a session, the current-user endpoint returns the user
+   * that logged in
+   */
+  test("API-AUTH-02: Current user matches the logged-in user", async ({
+    request,
+    testUser,
+  }) => {
+    const { email, password } = testUser;
+    const loggedIn = await jsonBody(await login(request, { email, password }));
+
+    const response = await request.get(env.meApiPath);
+    expect(response.status()).toBe(200);
+    const body = await jsonBody(response);
+    expect(contractErrors("me-response", body)).toEqual([]);
+    expect(body.user).toEqual(loggedIn.user);
+  });
+
+  /**
+   * API-AUTH-03: Current user without a session
+   * Expected: 401 with an error body
+   */
+  test("API-AUTH-03: Current user without a session is refused", async ({
+    request,
+  }) => {
+    await expectError(await request.get(env.meApiPath), 401);
+  });
+
+  /**
+   * API-AUTH-04: Logout
+   * Expected: Logout succeeds and the session no longer works
+   */
+  test("API-AUTH-04: Logout ends the session", async ({
+    request,
+    testUser,
+  }) => {
+    const { email, password } = testUser;
+    await login(request, { email, password });
+    expect((await request.get(env.meApiPath)).status()).toBe(200);
+
+    const response = await request.post(env.logoutApiPath);
+    expect(response.ok(), `logout answered ${response.status()}`).toBe(true);
+
+    await expectError(await request.get(env.meApiPath), 401);
+  });
+
+  /**
+   * API-AUTH-05: Invalid credentials
+   * Expected: Every rejected login scenario is refused by the API. Rows the
+   * UI shows a server error for get the scenario's status (default 401)
+   * and the message the UI shows; rows the browser blocks get a 4xx
+   */
+  for (const row of rejected) {
+    test(`API-AUTH-05: ${row.id} ${row.description} is refused`, async ({
+      request,
+      testUser,
+    }) => {
+      const scenario = fillScenario(row, { user: testUser });
+      const response = await login(request, {
+        email: scenario.email,
+        password: scenario.password,
+      });
+
+      if (scenario.expected === "server-error") {
+        const body = await expectError(response, scenario.status ?? 401);
+        expect(body.message).toBe(scenario.message ?? LoginPage.ERROR_TEXT);
+      } else {
+        expect(response.status()).toBeGreaterThanOrEqual(400);
+        expect(response.status()).toBeLessThan(500);
+        const body = await jsonBody(response);
+        expect(contractErrors("error-response", body)).toEqual([]);
+      }
+    });
+  }
+
+  /**
+   * API-AUTH-06: Malformed login body
+   * Expected: 400 with an error body, not a server error
+   */
+  test("API-AUTH-06: Malformed login body is refused", async ({ request }) => {
+    const response = await request.post(env.loginApiPath, {
+      headers: { "Content-Type": "application/json" },
+      // A Buffer is sent as is; a string would be JSON-encoded
+      data: Buffer.from("{not json"),
+    });
+    await expectError(response, 400);
+  });
+});
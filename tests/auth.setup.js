@@ -0,0 +1,15 @@
+import { test as setup, env, authFile } from "./fixtures.js";
+
+/**
+ * Global authentication setup
+ * Logs in once per role through the UI and saves the session so the
+ * authenticated specs can start from it instead of logging in every test
+ */
+setup.use({ authRole: null });
+
+for (const [role, { email, password }] of Object.entries(env.credentials)) {
+  setup(`authenticate as ${role}`, async ({ page, loginPage }) => {
+    await loginPage.login(email, password);
+    await page.context().storageState({ path: authFile(role) });
+  });
+}
@@ -0,0 +1,127 @@
+import {
+  test,
+  expect,
+  env,
+  loginRejection,
+  DashboardPage,
+} from "./fixtures.js";
+
+const lockout = env.bruteForce?.lockout;
+const rateLimit = env.bruteForce?.rateLimit;
+
+/**
+ * Wait out a lockout or throttle window
+ * Uses the response's Retry-After when present, otherwise the profile value
+ */
+async function waitForCooldown(page, response, fallbackMs) {
+  const retryAfter = Number(response.headers()["retry-after"]);
+  const waitMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : fallbackMs;
+  // The cooldown itself is what is being tested, so this wait is deliberate
+  await page.waitForTimeout(waitMs + 250);
+}
+
+test.describe("Brute-Force Protection", () => {
+  // Rejected logins are the point of these tests
+  test.use({ authRole: null, pageGuardIgnore: [loginRejection] });
+
+  test.describe("Account Lockout", () => {
+    const account = env.credentials.lockout;
+    test.skip(
+      !lockout || !account,
+      `No lockout thresholds or lockout account in the "${env.name}" profile`
+    );
+    test.use({ isolatedClient: true });
+
+    /**
+     * SEC-LOCKOUT-01: Account lockout
+     * Expected: After maxAttempts wrong passwords the account is locked, the
+     * correct password is refused with the lockout message and accepted
+     * once the cooldown has passed
+     */
+    test("SEC-LOCKOUT-01: Account locks after repeated wrong passwords", async ({
+      page,
+      loginPage,
+    }) => {
+      await loginPage.goto();
+
+      for (let attempt = 1; attempt <= lockout.maxAttempts; attempt++) {
+        await loginPage.fillCredentials(account.email, `Wrong@${attempt}`);
+        const response = await loginPage.submitAndWaitForResponse();
+        expect(response.ok(), `wrong password ${attempt} accepted`).toBe(false);
+
+        if (attempt < lockout.maxAttempts) {
+          await expect(loginPage.visibleErrors.first()).toBeVisible();
+          await expect(loginPage.visibleErrors.first()).not.toContainText(
+            lockout.message
+          );
+        }
+      }
+
+      // Locked: even the right password is refused
+      await loginPage.fillCredentials(account.email, account.password);
+      const locked = await loginPage.submitAndWaitForResponse();
+      expect(locked.ok(), "correct password accepted during lockout").toBe(
+        false
+      );
+      await expect(loginPage.visibleErrors.first()).toContainText(
+        lockout.message
+      );
+      expect(loginPage.isCurrentPage()).toBe(true);
+
+      // After the cooldown the right password works again
+      await waitForCooldown(page, locked, lockout.cooldownMs);
+      await loginPage.fillCredentials(account.email, account.password);
+      await loginPage.submit();
+      await page.waitForURL(DashboardPage.URL_PATTERN, { timeout: 10000 });
+    });
+  });
+
+  test.describe("Client Rate Limit", () => {
+    test.skip(
+      !rateLimit || !env.loginApiPath,
+      `No rate limit thresholds or login API path in the "${env.name}" profile`
+    );
+    test.use({ isolatedClient: true });
+
+    /**
+     * SEC-RATELIMIT-01: Per-client rate limit
+     * Expected: After maxAttempts failed logins from one client within the
+     * window, valid credentials are throttled with the rate limit message
+     * and accepted once the window has passed
+     */
+    test("SEC-RATELIMIT-01: Client is throttled after repeated failures", async ({
+      page,
+      loginPage,
+    }) => {
+      const { email, password } = env.credentials.user;
+
+      // Different unknown accounts, so only the per-client limit can trigger.
+      // Sent through the API to fit the attempts inside the window
+      for (let attempt = 1; attempt <= rateLimit.maxAttempts; attempt++) {
+        const response = await page.request.post(env.loginApiPath, {
+          data: {
+            email: `nobody-${attempt}@example.test`,
+            password: "Wrong@1",
+          },
+        });
+        expect(
+          response.status(),
+          `attempt ${attempt} throttled early`
+        ).not.toBe(429);
+      }
+
+      await loginPage.goto();
+      await loginPage.fillCredentials(email, password);
+      const throttled = await loginPage.submitAndWaitForResponse();
+      expect(throttled.ok(), "login accepted while throttled").toBe(false);
+      await expect(loginPage.visibleErrors.first()).toContainText(
+        rateLimit.message
+      );
+      expect(loginPage.isCurrentPage()).toBe(true);
+
+      await waitForCooldown(page, throttled, rateLimit.windowMs);
+      await loginPage.submit();
+      await page.waitForURL(DashboardPage.URL_PATTERN, { timeout: 10000 });
+    });
+  });
+});
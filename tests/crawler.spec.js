@@ -0,0 +1,63 @@
+import { test, expect, env, DashboardPage } from "./fixtures.js";
+import { crawlSite, sitemapMarkdown } from "./support/crawler.js";
+import { resolveFromConfig, writeReport } from "../reporters/output.js";
+
+// Upper bound on visited pages; raise for a full crawl of a large site
+const MAX_PAGES = Number(process.env.CRAWL_MAX_PAGES ?? 100);
+
+test.describe("Site Crawler", () => {
+  /**
+   * CRAWL-01: Every same-origin page reachable from the dashboard loads
+   * Expected: every reachable page is visited within MAX_PAGES, with no
+   * 4xx/5xx, error page or lost session; sitemap attached and written to
+   * reports/
+   */
+  test("CRAWL-01: Authenticated crawl from dashboard", async ({ page }) => {
+    // A full crawl takes longer than a normal test
+    test.slow();
+
+    const sitemap = await crawlSite(page, {
+      startPath: DashboardPage.PATH,
+      maxPages: MAX_PAGES,
+      loginPath: env.loginPath,
+    });
+
+    const markdown = sitemapMarkdown(sitemap);
+    await test.info().attach("sitemap.json", {
+      body: JSON.stringify(sitemap, null, 2),
+      contentType: "application/json",
+    });
+    await test.info().attach("sitemap.md", {
+      body: markdown,
+      contentType: "text/markdown",
+    });
+    // One pair of files per browser project, next to the reporters' output
+    const project = test.info().project.name;
+    const reportsDir = resolveFromConfig(test.info().config, "reports");
+    writeReport(reportsDir, `sitemap-${project}.json`, sitemap);
+    writeReport(reportsDir, `sitemap-${project}.md`, markdown);
+    test.info().annotations.push({
+      type: "info",
+      description: `Crawled ${sitemap.pages.length} pages, skipped ${sitemap.skipped.length} links`,
+    });
+
+    expect(sitemap.pages.length).toBeGreaterThan(0);
+    expect
+      .soft(
+        sitemap.truncated,
+        `Crawl stopped at ${MAX_PAGES} pages with links left to visit; ` +
+          "raise CRAWL_MAX_PAGES"
+      )
+      .toBe(false);
+
+    const broken = sitemap.pages
+      .filter((entry) => entry.broken)
+      .map(({ url, status, errorText, linkedFrom }) => ({
+        url,
+        status,
+        errorText,
+        linkedFrom,
+      }));
+    expect(broken, "Broken pages found while crawling").toEqual([]);
+  });
+});
@@ -1,157 +1,91 @@
-import { test, expect } from "@playwright/test";
-
-const BASE_URL = "https://edutrace.feature.marimaxglobal.ng";
-const LOGIN_URL = `${BASE_URL}/auth/login`;
+import path from "path";
+import {
+  test,
+  expect,
+  env,
+  loginRejection,
+  LoginPage,
+  DashboardPage,
+} from "./fixtures.js";
+import { fillScenario, loadScenarios } from "./support/scenarios.js";
 
 /**
- * Data-driven test for invalid login scenarios
- * This test uses multiple invalid credential combinations
+ * Data-driven login scenarios
+ * Rows come from the JSON, CSV and YAML files in tests/data/login-scenarios/
+ * and are checked against tests/data/login-scenarios.schema.json. Each row
+ * becomes one test named after its id and description. {{user.*}} is the
+ * test's own testUser, so wrong passwords never touch the shared account
  */
-const invalidCredentials = [
-  {
-    email: "milog50204@httpsu.com",
-    password: "wrongpassword",
-    description: "Valid email with wrong password",
-  },
-  {
-    email: "nonexistent@example.com",
-    password: "SomePassword123!",
-    description: "Non-existent email",
-  },
-  {
-    email: "milog50204@httpsu.com",
-    password: "",
-    description: "Empty password",
-  },
-  {
-    email: "",
-    password: "Password@23",
-    description: "Empty email",
-  },
+const scenarios = loadScenarios(
+  path.join(__dirname, "data", "login-scenarios"),
   {
-    email: "invalid-email-format",
-    password: "Password@23",
-    description: "Invalid email format",
-  },
-  {
-    email: "milog50204@httpsu.com",
-    password: "123",
-    description: "Password too short",
-  },
-];
-
-test.describe("Data-Driven Invalid Login Tests", () => {
-  test.beforeEach(async ({ page }) => {
-    await page.goto(LOGIN_URL);
+    schema: path.join(__dirname, "data", "login-scenarios.schema.json"),
+    credentials: env.credentials,
+    keep: ["user"],
+  }
+);
+
+test.describe("Data-Driven Login Tests", () => {
+  // server-error rows get a 401 from the login API on purpose
+  test.use({
+    authRole: null,
+    pageGuardIgnore: [loginRejection],
+    isolatedClient: true,
   });
 
-  for (const credentials of invalidCredentials) {
-    test(`Invalid Login: ${credentials.description}`, async ({ page }) => {
-      // Fill in credentials
-      const emailInput = page.locator(
-        'input[type="email"], input[name="email"], input[id="email"]'
-      );
-      const passwordInput = page.locator(
-        'input[type="password"], input[name="password"], input[id="password"]'
-      );
-
-      if (credentials.email) {
-        await emailInput.fill(credentials.email);
-      }
-
-      if (credentials.password) {
-        await passwordInput.fill(credentials.password);
-      }
-
-      // Attempt to submit
-      await page.click(
-        'button[type="submit"], button:has-text("Login"), button:has-text("Sign in")'
-      );
-
-      // Wait for response
-      await page.waitForTimeout(2000);
-
-      // Verify we're still on login page (not redirected)
-      const currentUrl = page.url();
-      expect(currentUrl).toMatch(/login|auth/i);
-
-      // For empty fields, check HTML5 validation (only if field has required attribute)
-      if (!credentials.email || !credentials.password) {
-        const emailInputEl = emailInput.first();
-        const passwordInputEl = passwordInput.first();
+  test.beforeEach(async ({ loginPage }) => {
+    await loginPage.goto();
+  });
 
-        if (!credentials.email) {
-          // Check if email field has required attribute before validating
-          const isRequired = await emailInputEl.evaluate((el) =>
-            el.hasAttribute("required")
-          );
-          if (isRequired) {
-            const emailValid = await emailInputEl.evaluate(
-              (el) => el.validity.valid
-            );
-            expect(emailValid).toBeFalsy();
-          } else {
-            // If not required, verify form didn't submit (we're still on login page)
-            // This is already verified above, so we can just log it
-            test.info().annotations.push({
-              type: "info",
-              description:
-                "Email field is not required - form validation may happen on submit",
-            });
-          }
+  for (const row of scenarios) {
+    test(`${row.id}: ${row.description}`, async ({
+      page,
+      loginPage,
+      testUser,
+    }) => {
+      const scenario = fillScenario(row, { user: testUser });
+      test.info().annotations.push({
+        type: "scenario",
+        description: `${scenario.source} - expected ${scenario.expected}`,
+      });
+
+      // Fill in credentials (empty values leave the field untouched)
+      await loginPage.fillCredentials(scenario.email, scenario.password);
+
+      // Attempt to submit and wait for the server to answer (if the
+      // browser's own validation lets the form through)
+      const response = await loginPage.submitAndSettle();
+
+      switch (scenario.expected) {
+        case "html5-validation": {
+          // The browser blocked the form, so no login request was sent
+          expect(response).toBeNull();
+          const invalid =
+            scenario.field === "email"
+              ? await loginPage.isEmailInvalid()
+              : await loginPage.isPasswordInvalid();
+          expect(invalid).toBeTruthy();
+          expect(page.url()).toContain(env.loginPath);
+          break;
         }
 
-        if (!credentials.password) {
-          // Check if password field has required attribute before validating
-          const isRequired = await passwordInputEl.evaluate((el) =>
-            el.hasAttribute("required")
-          );
-          if (isRequired) {
-            const passwordValid = await passwordInputEl.evaluate(
-              (el) => el.validity.valid
-            );
-            expect(passwordValid).toBeFalsy();
-          }
+        case "server-error": {
+          // The server answered and the page shows its error
+          expect(response).not.toBeNull();
+          expect(response.ok()).toBeFalsy();
+          await expect(
+            page.getByText(scenario.message ?? LoginPage.ERROR_TEXT, {
+              exact: true,
+            })
+          ).toBeVisible();
+          expect(page.url()).toContain(env.loginPath);
+          break;
         }
 
-        // For empty fields, we've already verified we're still on login page (line 70)
-        // The form should not have submitted successfully
-      } else {
-        // For invalid credentials, check for error message or HTML5 validation
-        // Some invalid formats (like invalid email) might trigger HTML5 validation
-        // which prevents form submission, so server error won't appear
-
-        // Check if email field has HTML5 validation error (for invalid email format)
-        const emailInputEl = emailInput.first();
-        const emailValid = await emailInputEl.evaluate(
-          (el) => el.validity.valid
-        );
-
-        if (!emailValid) {
-          // HTML5 validation prevented submission - this is acceptable
-          // We've already verified we're still on login page (line 70)
-          test.info().annotations.push({
-            type: "info",
-            description: "HTML5 validation prevented form submission",
-          });
-        } else {
-          // Email format is valid, so form should have submitted
-          // Expect "Unable to login user" error message
-          const errorAlert = page.locator('text="Unable to login user"');
-
-          // Wait a bit more for the error to appear
-          try {
-            await expect(errorAlert).toBeVisible({ timeout: 5000 });
-          } catch (e) {
-            // If error doesn't appear, verify we're still on login page
-            // This confirms login failed even if error message format differs
-            expect(currentUrl).toMatch(/login|auth/i);
-            test.info().annotations.push({
-              type: "warning",
-              description:
-                "Error message not found, but login page confirmed - login failed",
-            });
-          }
+        case "redirect": {
+          await page.waitForURL(DashboardPage.URL_PATTERN, { timeout: 10000 });
+          expect(page.url()).not.toContain(env.loginPath);
+          break;
         }
       }
     });
@@ -0,0 +1,106 @@
+import path from "path";
+import {
+  test,
+  expect,
+  env,
+  registrationRejection,
+  DashboardPage,
+} from "./fixtures.js";
+import { loadScenarios } from "./support/scenarios.js";
+import { passwordPolicy, uniqueEmail } from "./support/test-data.js";
+
+/**
+ * Data-driven registration scenarios
+ * Rows come from the files in tests/data/registration-scenarios/ and are
+ * checked against tests/data/registration-scenarios.schema.json, like the
+ * login scenarios. Fields a row leaves out get a valid value, and every
+ * test signs up with its own generated email unless the row gives one
+ */
+const scenarios = loadScenarios(
+  path.join(__dirname, "data", "registration-scenarios"),
+  {
+    schema: path.join(__dirname, "data", "registration-scenarios.schema.json"),
+    credentials: env.credentials,
+  }
+);
+const policy = passwordPolicy();
+
+/**
+ * The form values for a scenario: its own fields over valid defaults
+ */
+function formValues(scenario) {
+  const password = scenario.password ?? policy.valid[0];
+  return {
+    name: scenario.name ?? "Registration Tester",
+    email: scenario.email ?? uniqueEmail("register"),
+    password,
+    confirm: scenario.confirm ?? password,
+    terms: scenario.terms ?? true,
+  };
+}
+
+test.describe("Data-Driven Registration Tests", () => {
+  // server-error rows get a 4xx from the sign-up API on purpose
+  test.use({ authRole: null, pageGuardIgnore: [registrationRejection] });
+
+  test.beforeEach(async ({ loginPage }) => {
+    await loginPage.goto();
+    await loginPage.openRegistration();
+  });
+
+  for (const scenario of scenarios) {
+    test(`${scenario.id}: ${scenario.description}`, async ({
+      page,
+      loginPage,
+      dashboardPage,
+      registrationPage,
+    }) => {
+      test.info().annotations.push({
+        type: "scenario",
+        description: `${scenario.source} - expected ${scenario.expected}`,
+      });
+
+      const values = formValues(scenario);
+      await registrationPage.fill(values);
+      const response = await registrationPage.submitAndSettle();
+
+      switch (scenario.expected) {
+        case "html5-validation": {
+          // The browser blocked the form, so no sign-up request was sent
+          expect(response).toBeNull();
+          expect(await registrationPage.isFieldInvalid(scenario.field)).toBe(
+            true
+          );
+          expect(registrationPage.isCurrentPage()).toBe(true);
+          break;
+        }
+
+        case "server-error": {
+          expect(response).not.toBeNull();
+          expect(response.ok()).toBeFalsy();
+          await expect(registrationPage.visibleErrors.first()).toHaveText(
+            scenario.message
+          );
+          expect(registrationPage.isCurrentPage()).toBe(true);
+          break;
+        }
+
+        case "registered": {
+          // Signed up and sent to log in for the first time
+          expect(response.ok(), `sign-up answered ${response.status()}`).toBe(
+            true
+          );
+          await page.waitForURL((url) => url.pathname.includes(env.loginPath));
+          await expect(loginPage.notice.first()).toBeVisible();
+
+          await loginPage.login(values.email, values.password);
+          await expect(page).toHaveURL(DashboardPage.URL_PATTERN);
+          await expect(dashboardPage.userName.first()).toContainText(
+            values.name
+          );
+          break;
+        }
+      }
+    });
+  }
+});
@@ -0,0 +1,165 @@
+import path from "path";
+import { test as base, expect } from "@playwright/test";
+import { LoginPage } from "./pages/LoginPage.js";
+import { DashboardPage } from "./pages/DashboardPage.js";
+import { ForgotPasswordPage } from "./pages/ForgotPasswordPage.js";
+import { ResetPasswordPage } from "./pages/ResetPasswordPage.js";
+import { RegistrationPage } from "./pages/RegistrationPage.js";
+import { Mailbox } from "./support/mailbox.js";
+import { TestDataFactory } from "./support/data-factory.js";
+import { uniqueClientIp } from "./support/test-data.js";
+import { PerformanceMonitor } from "./support/performance.js";
+import { LoginFaults } from "./support/network-faults.js";
+import {
+  PageGuard,
+  loginApiNoise,
+  loginRejection,
+  passwordResetRejection,
+  registrationRejection,
+} from "./support/page-guard.js";
+import { SelectorHealth } from "./support/selectors.js";
+import { env } from "../config/env.js";
+import { GLOBAL_IGNORE } from "../config/page-guard.js";
+
+const AUTH_DIR = path.resolve(__dirname, "../playwright/.auth");
+
+/**
+ * Where the saved session for a role lives
+ * Keyed by profile so switching TEST_ENV never reuses another host's cookies
+ */
+export function authFile(role) {
+  return path.join(AUTH_DIR, `${env.name}-${role}.json`);
+}
+
+/**
+ * Shared test fixtures
+ * Specs import `test` and `expect` from here instead of @playwright/test
+ * to get the page objects injected
+ *
+ * Tests start logged in as `authRole` using the session saved by
+ * auth.setup.js. Opt out with `test.use({ authRole: null })` for tests that
+ * need a clean, unauthenticated browser
+ *
+ * Every test that uses a page is watched by the page guard and fails on page
+ * errors, console errors or failed sub-requests. Allow expected ones with
+ * `test.use({ pageGuardIgnore: [...] })` or `pageGuard.ignore(...)`
+ *
+ * Tests that fail logins on purpose set `test.use({ isolatedClient: true })`
+ * to send a made-up client address of their own, so the lockout and rate
+ * limit never count their failures against another test
+ *
+ * Page objects record which selector strategy found each element; elements
+ * only found through a fallback show up as warning annotations and in the
+ * selector health report
+ */
+export const test = base.extend({
+  authRole: ["user", { option: true }],
+  pageGuardIgnore: [[], { option: true }],
+  // Text direction the app should use for the project's locale
+  textDirection: ["ltr", { option: true }],
+  isolatedClient: [false, { option: true }],
+
+  extraHTTPHeaders: async ({ extraHTTPHeaders, isolatedClient }, use) => {
+    await use(
+      isolatedClient
+        ? { ...extraHTTPHeaders, "X-Forwarded-For": uniqueClientIp() }
+        : extraHTTPHeaders
+    );
+  },
+
+  storageState: async ({ authRole }, use) => {
+    await use(authRole ? authFile(authRole) : undefined);
+  },
+
+  pageGuard: async ({ pageGuardIgnore }, use) => {
+    await use(new PageGuard([...GLOBAL_IGNORE, ...pageGuardIgnore]));
+  },
+
+  page: async ({ page, pageGuard }, use, testInfo) => {
+    pageGuard.attach(page);
+    await use(page);
+    await pageGuard.check(testInfo);
+  },
+
+  selectorHealth: async ({}, use, testInfo) => {
+    const health = new SelectorHealth();
+    await use(health);
+    await health.report(testInfo);
+  },
+
+  loginPage: async ({ page, selectorHealth }, use) => {
+    await use(new LoginPage(page, selectorHealth));
+  },
+
+  dashboardPage: async ({ page, selectorHealth }, use) => {
+    await use(new DashboardPage(page, selectorHealth));
+  },
+
+  forgotPasswordPage: async ({ page, selectorHealth }, use) => {
+    await use(new ForgotPasswordPage(page, selectorHealth));
+  },
+
+  resetPasswordPage: async ({ page, selectorHealth }, use) => {
+    await use(new ResetPasswordPage(page, selectorHealth));
+  },
+
+  registrationPage: async ({ page, selectorHealth }, use) => {
+    await use(new RegistrationPage(page, selectorHealth));
+  },
+
+  // Emails sent by the app, read from the profile's mail catcher
+  mailbox: async ({ request }, use) => {
+    await use(new Mailbox(request, env.mailCatcherURL));
+  },
+
+  // Users, classes and enrolments made for this test and deleted after it,
+  // whether it passed or not
+  testData: async ({ request }, use) => {
+    const factory = new TestDataFactory(request, env.testDataPaths, env.runId);
+    await use(factory);
+    await factory.cleanup();
+  },
+
+  // An account of this test's own, for tests that change account state
+  // (failed logins, logout, remember me). Profiles without test data
+  // endpoints fall back to the shared `user` account, with a note
+  testUser: async ({ testData }, use, testInfo) => {
+    if (env.testDataPaths) {
+      await use(await testData.createUser());
+      return;
+    }
+    testInfo.annotations.push({
+      type: "note",
+      description: `No test data endpoints in the "${env.name}" profile, using the shared user account`,
+    });
+    await use(env.credentials.user);
+  },
+
+  // Navigation timing and Web Vitals of every page the test loads
+  performanceMonitor: async ({ page }, use, testInfo) => {
+    const monitor = new PerformanceMonitor(page);
+    await monitor.start();
+    await use(monitor);
+    await monitor.report(testInfo);
+  },
+
+  loginFaults: async ({ page }, use) => {
+    const faults = new LoginFaults(page, { loginApiPath: env.loginApiPath });
+    await use(faults);
+    await faults.clear();
+  },
+});
+
+export {
+  expect,
+  env,
+  LoginPage,
+  DashboardPage,
+  ForgotPasswordPage,
+  ResetPasswordPage,
+  RegistrationPage,
+  loginApiNoise,
+  loginRejection,
+  passwordResetRejection,
+  registrationRejection,
+};
@@ -0,0 +1,27 @@
+import { request } from "@playwright/test";
+import { env } from "../config/env.js";
+import { deleteRun } from "./support/data-factory.js";
+
+/**
+ * Global teardown
+ * Removes whatever test data of this run is still there: data a test could
+ * not delete itself, and accounts signed up through the UI, whose emails
+ * carry the run ID. Runs before the mock server is stopped
+ */
+export default async function globalTeardown() {
+  if (!env.testDataPaths) {
+    return;
+  }
+  const context = await request.newContext({ baseURL: env.baseURL });
+  try {
+    const deleted = await deleteRun(context, env.testDataPaths, env.runId);
+    const total = Object.values(deleted ?? {}).reduce((a, b) => a + b, 0);
+    if (total > 0) {
+      console.log(`Test data: removed ${total} leftover(s) of ${env.runId}`);
+    }
+  } catch (error) {
+    console.warn(`Test data: ${error.message}`);
+  } finally {
+    await context.dispose();
+  }
+}
@@ -0,0 +1,271 @@
+import fs from "fs";
+import path from "path";
+import { test, expect, DashboardPage, loginRejection } from "./fixtures.js";
+import { expectFitsScreen } from "./support/layout.js";
+import { uniqueEmail } from "./support/test-data.js";
+
+/**
+ * Localization
+ * Runs in the locale projects from config/locales.js, each with its own
+ * browser locale and timezone, and in the desktop projects with the
+ * defaults. Dates and numbers on the dashboard must follow the locale and
+ * timezone, labels and login errors must be translated where
+ * tests/data/translations/ has the language, and the layout must hold in
+ * the locale's text direction
+ *
+ * Expected dates and numbers are fixed strings per locale in
+ * tests/data/locale-formats.json. The dashboard's dates are pinned to the
+ * instant given there, so the expected date text never changes
+ */
+
+const TRANSLATIONS_DIR = path.join(__dirname, "data", "translations");
+const FORMATS = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "data", "locale-formats.json"), "utf8")
+);
+
+/**
+ * The expected labels for a locale's language, or null without a file
+ */
+function translationsFor(locale) {
+  const language = locale.split("-")[0].toLowerCase();
+  const file = path.join(TRANSLATIONS_DIR, `${language}.json`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return { language, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+}
+
+const ENGLISH = translationsFor("en");
+
+/**
+ * The labels to expect: the locale's translations, or English with a note
+ */
+function expectedLabels(locale) {
+  const translations = translationsFor(locale);
+  if (!translations) {
+    test.info().annotations.push({
+      type: "note",
+      description: `No translations for ${locale} in tests/data/translations, expecting English`,
+    });
+  }
+  return translations ?? ENGLISH;
+}
+
+/**
+ * Match a translated "... {name} ..." template with any value filled in
+ */
+function templatePattern(template) {
+  const parts = template
+    .split(/\{\w+\}/)
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`^${parts.join(".+")}$`);
+}
+
+/**
+ * The expected date and number texts for a locale; skips the test without
+ */
+function expectedFormats(locale) {
+  const formats = FORMATS.locales[locale];
+  test.skip(!formats, `No ${locale} formats in tests/data/locale-formats.json`);
+  return formats;
+}
+
+/**
+ * The page's text direction, "ltr" when the app doesn't set one
+ */
+function pageDirection(page) {
+  return page.evaluate(
+    () => getComputedStyle(document.documentElement).direction
+  );
+}
+
+/**
+ * Collapse whitespace, including the narrow no-break spaces Intl uses
+ */
+function normalize(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+test.describe("Localization", () => {
+  test.describe("Dashboard", () => {
+    test.beforeEach(async ({ page, dashboardPage }) => {
+      // Every date on the dashboard shows the same fixed instant
+      await page.route(
+        (url) => url.pathname === DashboardPage.PATH,
+        async (route) => {
+          const response = await route.fetch();
+          const body = (await response.text()).replace(
+            /(<time\b[^>]*\bdatetime=")[^"]*"/g,
+            `$1${FORMATS.datetime}"`
+          );
+          await route.fulfill({ response, body });
+        }
+      );
+      // Not dashboardPage.goto(): its probe would report the English
+      // link names as selector fallbacks in other languages
+      await page.goto(DashboardPage.PATH);
+      await dashboardPage.waitForLoaded();
+    });
+
+    /**
+     * L10N-01: Dates
+     * Expected: The browser runs in the project's locale and timezone, and
+     * every date on the dashboard reads as the locale's fixed date text.
+     * Skipped in projects whose timezone the expected text wasn't written for
+     */
+    test("L10N-01: Dashboard dates follow the locale and timezone", async ({
+      page,
+      locale,
+      timezoneId,
+    }) => {
+      const browser = await page.evaluate(() => ({
+        language: navigator.language,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      }));
+      expect(browser.language).toBe(locale);
+      if (timezoneId) {
+        expect(browser.timeZone).toBe(timezoneId);
+      }
+
+      const formats = expectedFormats(locale);
+      test.skip(
+        browser.timeZone !== formats.timezoneId,
+        `The ${locale} date is written for ${formats.timezoneId}, not ${browser.timeZone}`
+      );
+      const dates = page.locator("main time[datetime]");
+      expect(await dates.count(), "no dates on the dashboard").toBeGreaterThan(
+        0
+      );
+      for (const date of await dates.all()) {
+        expect(normalize(await date.innerText())).toBe(formats.date);
+      }
+    });
+
+    /**
+     * L10N-02: Numbers
+     * Expected: Every number on the dashboard reads as the locale's fixed
+     * text for it, with the locale's digits and separators
+     */
+    test("L10N-02: Dashboard numbers follow the locale", async ({
+      page,
+      locale,
+    }) => {
+      const formats = expectedFormats(locale);
+      const numbers = page.locator("main data[value]");
+      expect(
+        await numbers.count(),
+        "no numbers on the dashboard"
+      ).toBeGreaterThan(0);
+      for (const number of await numbers.all()) {
+        const value = await number.getAttribute("value");
+        const expected = formats.numbers[value];
+        expect(
+          expected,
+          `no ${locale} text for ${value} in tests/data/locale-formats.json`
+        ).toBeDefined();
+        expect(normalize(await number.innerText())).toBe(expected);
+      }
+    });
+
+    /**
+     * L10N-03: Labels
+     * Expected: The page language, menu links, heading, welcome message and
+     * logout button are in the locale's language, or in English when the
+     * suite has no translations for it
+     */
+    test("L10N-03: Dashboard labels are translated", async ({
+      page,
+      locale,
+      dashboardPage,
+    }) => {
+      const labels = expectedLabels(locale);
+      await expect(page.locator("html")).toHaveAttribute(
+        "lang",
+        new RegExp(`^${labels.language}\\b`, "i")
+      );
+
+      for (const [href, label] of Object.entries(labels.menu)) {
+        await expect
+          .soft(
+            dashboardPage.navMenuLinks.and(page.locator(`[href="${href}"]`))
+          )
+          .toHaveText(label);
+      }
+      await expect
+        .soft(page.locator("main h1"))
+        .toHaveText(labels.menu[DashboardPage.PATH]);
+      await expect
+        .soft(page.getByText(templatePattern(labels.welcome)))
+        .toBeVisible();
+      await expect
+        .soft(dashboardPage.logoutButton.first())
+        .toHaveText(labels.logout);
+    });
+
+    /**
+     * L10N-04: Text direction
+     * Expected: The page uses the locale's text direction, the header is
+     * mirrored in RTL, and nothing overflows, overlaps or is clipped
+     */
+    test("L10N-04: Dashboard layout holds in the text direction", async ({
+      page,
+      dashboardPage,
+      textDirection,
+    }) => {
+      expect(await pageDirection(page)).toBe(textDirection);
+
+      // Menu links run right to left in RTL
+      const links = dashboardPage.navMenuLinks;
+      const first = await links.first().boundingBox();
+      const last = await links.last().boundingBox();
+      if (textDirection === "rtl") {
+        expect(
+          first.x,
+          "first menu link should be on the right"
+        ).toBeGreaterThan(last.x);
+      } else {
+        expect(first.x, "first menu link should be on the left").toBeLessThan(
+          last.x
+        );
+      }
+
+      await expectFitsScreen(page, "the dashboard");
+    });
+  });
+
+  test.describe("Login Page", () => {
+    // The login error tests fail a login on purpose
+    test.use({
+      authRole: null,
+      pageGuardIgnore: [loginRejection],
+      isolatedClient: true,
+    });
+
+    /**
+     * L10N-05: Login error
+     * Expected: A rejected login shows the error in the locale's language,
+     * or in English when the suite has no translations for it, and the
+     * page keeps its text direction and layout
+     */
+    test("L10N-05: Login error is localized", async ({
+      page,
+      locale,
+      loginPage,
+      textDirection,
+    }) => {
+      const labels = expectedLabels(locale);
+      await loginPage.goto();
+      expect(await pageDirection(page)).toBe(textDirection);
+
+      await loginPage.fillCredentials(uniqueEmail("nobody"), "Wrong@Pass1");
+      const response = await loginPage.submitAndWaitForResponse();
+      expect(response.status()).toBe(401);
+      // loginPage.errorAlert looks for the English text
+      await expect(
+        page.getByText(labels.loginError, { exact: true })
+      ).toBeVisible();
+
+      await expectFitsScreen(page, "the login page with errors");
+    });
+  });
+});
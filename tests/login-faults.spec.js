@@ -0,0 +1,102 @@
+import { test, expect, env, loginApiNoise } from "./fixtures.js";
+
+/**
+ * Login API faults, their test-case IDs and how each one is injected
+ * The test's own valid credentials are used throughout so any failure comes
+ * from the fault
+ */
+const faults = [
+  {
+    id: "WEB-LOGIN-FAULT-01",
+    name: "500 Internal Server Error",
+    inject: (loginFaults) => loginFaults.serverError(500),
+  },
+  {
+    id: "WEB-LOGIN-FAULT-02",
+    name: "502 Bad Gateway",
+    inject: (loginFaults) => loginFaults.serverError(502),
+  },
+  {
+    id: "WEB-LOGIN-FAULT-03",
+    name: "503 Service Unavailable",
+    inject: (loginFaults) => loginFaults.serverError(503),
+  },
+  {
+    id: "WEB-LOGIN-FAULT-04",
+    name: "429 Too Many Requests",
+    inject: (loginFaults) => loginFaults.rateLimited(),
+  },
+  {
+    id: "WEB-LOGIN-FAULT-05",
+    name: "Request timeout",
+    inject: (loginFaults) => loginFaults.hang(3000),
+  },
+  {
+    id: "WEB-LOGIN-FAULT-06",
+    name: "Dropped connection",
+    inject: (loginFaults) => loginFaults.dropConnection(),
+  },
+  {
+    id: "WEB-LOGIN-FAULT-07",
+    name: "Malformed JSON response",
+    inject: (loginFaults) => loginFaults.malformedJson(),
+  },
+];
+
+test.describe("Login Network Fault Tests", () => {
+  // The broken login call is the point of these tests
+  test.use({ authRole: null, pageGuardIgnore: [loginApiNoise] });
+
+  test.beforeEach(async ({ loginPage }) => {
+    await loginPage.goto();
+  });
+
+  for (const fault of faults) {
+    test(`${fault.id}: Login fault - ${fault.name}`, async ({
+      page,
+      loginPage,
+      loginFaults,
+      testUser,
+    }) => {
+      await fault.inject(loginFaults);
+
+      await loginPage.fillCredentials(testUser.email, testUser.password);
+      await loginPage.submit();
+
+      // A readable error is shown instead of a blank or frozen form
+      await expect(loginPage.visibleErrors.first()).toBeVisible({
+        timeout: 10000,
+      });
+
+      // The user stays on the login page
+      expect(page.url()).toContain(env.loginPath);
+
+      // The form can be submitted again
+      await expect(loginPage.submitButton).toBeEnabled();
+    });
+  }
+
+  /**
+   * WEB-LOGIN-FAULT-08: Recovery
+   * Expected: Once the backend recovers, the same form logs in normally
+   */
+  test("WEB-LOGIN-FAULT-08: Login recovers after a server error", async ({
+    page,
+    loginPage,
+    loginFaults,
+    testUser,
+  }) => {
+    await loginFaults.serverError(503);
+    await loginPage.fillCredentials(testUser.email, testUser.password);
+    await loginPage.submit();
+    await expect(loginPage.visibleErrors.first()).toBeVisible({
+      timeout: 10000,
+    });
+
+    await loginFaults.clear();
+    await loginPage.submit();
+
+    await page.waitForURL(/dashboard|home|profile/i, { timeout: 10000 });
+    expect(page.url()).not.toContain(env.loginPath);
+  });
+});
@@ -0,0 +1,214 @@
+import { SelectorRegistry } from "../support/selectors.js";
+
+/**
+ * Page object for the authenticated EduTrace dashboard and the pages
+ * reached from its menu
+ * Selectors live in SELECTORS, best strategy first (see support/selectors.js)
+ */
+export class DashboardPage {
+  static PATH = "/dashboard";
+  static URL_PATTERN = /dashboard|home|profile/i;
+
+  static SELECTORS = {
+    header: [
+      { role: "banner" },
+      { css: 'header, [class*="header"], nav, [role="banner"]' },
+    ],
+    footer: [
+      { role: "contentinfo" },
+      { css: 'footer, [class*="footer"], [role="contentinfo"]' },
+    ],
+    mainContent: [
+      { role: "main" },
+      { css: 'main, [class*="main"], [class*="content"], [role="main"]' },
+    ],
+    navMenu: [
+      { testId: "main-nav" },
+      { role: "navigation" },
+      { css: 'nav, [role="navigation"], [class*="menu"], [class*="nav"]' },
+    ],
+    navMenuLinks: [
+      { testId: "main-nav", locator: "a" },
+      { css: 'nav a, [role="navigation"] a, [class*="menu"] a' },
+    ],
+    // Button that opens the menu when it is collapsed on small screens
+    navToggle: [
+      { testId: "nav-toggle" },
+      { role: "button", name: /^(menu|open menu|toggle navigation)$/i },
+      { css: "header [aria-controls][aria-expanded]" },
+    ],
+    // Menu links, tried in order by menuLinks() which only uses the first
+    // strategy that matches
+    menu: [
+      { testId: "main-nav", locator: "a" },
+      { role: "navigation", locator: "a" },
+      { css: '[class*="menu"] a' },
+      { css: '[class*="nav"] a' },
+      { css: "header a" },
+      { css: '[data-testid*="menu"] a, [data-testid*="nav"] a' },
+    ],
+    welcomeHeading: [
+      { testId: "welcome" },
+      { css: 'h1, h2, [class*="dashboard"], [class*="welcome"]' },
+    ],
+    userInfo: [
+      { testId: "user-name" },
+      { css: '[class*="user"], [class*="profile"], [data-testid*="user"]' },
+    ],
+    dashboardLink: [
+      // Also found while the menu is collapsed on small screens
+      { role: "link", name: "Dashboard", exact: true, includeHidden: true },
+      { css: 'a:has-text("Dashboard"), a[href*="dashboard"]' },
+    ],
+    // Content that changes between runs and must be masked in screenshots
+    userName: [
+      {
+        css: '[class*="user-name"], [class*="welcome"], [data-testid*="user-name"]',
+      },
+    ],
+    currentDate: [{ css: 'time, [class*="date"], [data-testid*="date"]' }],
+    logoutButton: [
+      { testId: "logout" },
+      { role: "button", name: /logout|log out|sign out/i },
+      {
+        css: 'button:has-text("Logout"), a:has-text("Logout"), button:has-text("Sign out")',
+      },
+    ],
+  };
+
+  /**
+   * @param {import("@playwright/test").Page} page
+   * @param {import("../support/selectors.js").SelectorHealth} [health]
+   */
+  constructor(page, health) {
+    this.page = page;
+    this.selectors = new SelectorRegistry(
+      page,
+      "dashboard",
+      DashboardPage.SELECTORS,
+      health
+    );
+
+    for (const element of Object.keys(DashboardPage.SELECTORS)) {
+      this[element] = this.selectors.locator(element);
+    }
+    this.dynamicRegions = [this.userName, this.currentDate];
+  }
+
+  /**
+   * Open the dashboard directly
+   */
+  async goto() {
+    await this.page.goto(DashboardPage.PATH);
+    await this.selectors.probe();
+  }
+
+  /**
+   * Locate the menu links, using the best-ranked selector that matches
+   * anything. Returns null when no menu is found
+   */
+  async menuLinks() {
+    return this.selectors.resolve("menu");
+  }
+
+  /**
+   * Visible labels of the menu links, in menu order
+   */
+  async menuLabels() {
+    const links = await this.menuLinks();
+    if (!links) {
+      return [];
+    }
+    const labels = await links.allInnerTexts();
+    return labels.map((label) => label.trim()).filter(Boolean);
+  }
+
+  /**
+   * Paths of the same-origin pages reachable from the menu, starting with
+   * the current page. Logout links are left out
+   */
+  async menuPaths() {
+    const current = new URL(this.page.url());
+    const paths = new Set([current.pathname]);
+    const menuLinks = await this.menuLinks();
+    if (menuLinks) {
+      const hrefs = await menuLinks.evaluateAll((links) =>
+        links.map((link) => link.href)
+      );
+      for (const href of hrefs) {
+        const url = new URL(href);
+        if (
+          url.origin === current.origin &&
+          !/logout|sign-?out/i.test(url.pathname)
+        ) {
+          paths.add(url.pathname);
+        }
+      }
+    }
+    return [...paths];
+  }
+
+  /**
+   * Whether the menu is collapsed behind its toggle button
+   */
+  async isNavCollapsed() {
+    return (
+      (await this.navToggle.first().isVisible()) &&
+      !(await this.navMenuLinks.first().isVisible())
+    );
+  }
+
+  /**
+   * Open the collapsed menu, tapping the toggle on touch screens
+   */
+  async openNav({ touch = false } = {}) {
+    const toggle = this.navToggle.first();
+    await (touch ? toggle.tap() : toggle.click());
+    await this.navMenuLinks.first().waitFor({ state: "visible" });
+  }
+
+  /**
+   * Wait for the page to settle after a navigation
+   */
+  async waitForLoaded() {
+    await this.page
+      .waitForLoadState("networkidle", { timeout: 5000 })
+      .catch(() => {});
+  }
+
+  /**
+   * Return to the dashboard, falling back to the dashboard menu link
+   */
+  async backToDashboard() {
+    try {
+      await this.goto();
+    } catch {
+      if ((await this.dashboardLink.count()) > 0) {
+        await this.dashboardLink.click();
+      }
+    }
+    await this.waitForLoaded();
+  }
+
+  /**
+   * Whether a logout control is present
+   */
+  async hasLogout() {
+    return (await this.logoutButton.count()) > 0;
+  }
+
+  /**
+   * Log out and wait for the redirect back to the login page
+   */
+  async logout() {
+    await this.logoutButton.click();
+    await this.page.waitForURL(/login|auth/i, { timeout: 5000 });
+  }
+
+  /**
+   * Whether the current URL looks like an authenticated dashboard page
+   */
+  isCurrentPage() {
+    return DashboardPage.URL_PATTERN.test(this.page.url());
+  }
+}
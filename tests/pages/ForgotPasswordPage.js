@@ -0,0 +1,85 @@
+import { SelectorRegistry } from "../support/selectors.js";
+
+/**
+ * Page object for the "Forgot password" form linked from the login page
+ * Selectors live in SELECTORS, best strategy first (see support/selectors.js)
+ */
+export class ForgotPasswordPage {
+  static PATH = "/auth/forgot-password";
+  static URL_PATTERN = /forgot|recover/i;
+
+  static SELECTORS = {
+    emailInput: [
+      { testId: "forgot-email" },
+      { role: "textbox", name: /e-?mail/i },
+      { css: 'input[type="email"], input[name="email"]' },
+    ],
+    submitButton: [
+      { testId: "forgot-submit" },
+      { role: "button", name: /send|reset|continue/i },
+      { css: 'button[type="submit"]' },
+    ],
+    // The "check your inbox" confirmation
+    confirmation: [
+      { testId: "forgot-sent" },
+      { role: "status" },
+      { css: '.alert-success, [class*="success"]' },
+    ],
+    errors: [
+      { testId: "forgot-error" },
+      { css: '.alert-danger, [role="alert"], [class*="error"]' },
+    ],
+  };
+
+  /**
+   * @param {import("@playwright/test").Page} page
+   * @param {import("../support/selectors.js").SelectorHealth} [health]
+   */
+  constructor(page, health) {
+    this.page = page;
+    this.selectors = new SelectorRegistry(
+      page,
+      "forgot-password",
+      ForgotPasswordPage.SELECTORS,
+      health
+    );
+
+    for (const element of Object.keys(ForgotPasswordPage.SELECTORS)) {
+      this[element] = this.selectors.locator(element);
+    }
+    this.visibleErrors = this.errors.filter({ hasText: /\S/ });
+  }
+
+  /**
+   * Open the form directly
+   */
+  async goto() {
+    await this.page.goto(ForgotPasswordPage.PATH);
+    await this.selectors.probe();
+  }
+
+  /**
+   * Ask for a reset link and wait for the app to answer
+   * Returns the response of the request
+   */
+  async requestReset(email) {
+    await this.emailInput.fill(email);
+    const [response] = await Promise.all([
+      this.page.waitForResponse(
+        (response) =>
+          response.request().method() === "POST" &&
+          /forgot|reset|recover/i.test(new URL(response.url()).pathname)
+      ),
+      this.submitButton.click(),
+    ]);
+    await this.selectors.probe(["confirmation"]);
+    return response;
+  }
+
+  /**
+   * Whether the browser is on the "Forgot password" form
+   */
+  isCurrentPage() {
+    return ForgotPasswordPage.URL_PATTERN.test(this.page.url());
+  }
+}
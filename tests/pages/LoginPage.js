@@ -0,0 +1,260 @@
+import { expect } from "@playwright/test";
+import { env } from "../../config/env.js";
+import { SelectorRegistry } from "../support/selectors.js";
+import { waitForLoginResponse } from "../support/waits.js";
+
+/**
+ * Page object for the EduTrace login page (the profile's loginPath)
+ * All login selectors live in SELECTORS so a markup change only needs one
+ * edit. Each element lists its strategies best first (see support/selectors.js)
+ */
+export class LoginPage {
+  static PATH = env.loginPath;
+  static ERROR_TEXT = "Unable to login user";
+
+  static SELECTORS = {
+    emailInput: [
+      { testId: "login-email" },
+      { role: "textbox", name: /e-?mail/i },
+      { css: 'input[type="email"], input[name="email"], input[id="email"]' },
+    ],
+    passwordInput: [
+      { testId: "login-password" },
+      { label: /password/i },
+      {
+        css: 'input[type="password"], input[name="password"], input[id="password"]',
+      },
+    ],
+    submitButton: [
+      { testId: "login-submit" },
+      { role: "button", name: /^\s*(login|log in|sign in)\s*$/i },
+      {
+        css: 'button[type="submit"], button:has-text("Login"), button:has-text("Sign in")',
+      },
+    ],
+    rememberMeCheckbox: [
+      { testId: "login-remember" },
+      { role: "checkbox", name: /remember/i },
+      {
+        css: 'input[type="checkbox"][name*="remember"], input[type="checkbox"][id*="remember"], label:has-text("Remember") input',
+      },
+    ],
+    emailLabel: [
+      {
+        css: 'label[for*="email"], label:has-text("Email"), label:has-text("email")',
+      },
+    ],
+    passwordLabel: [
+      {
+        css: 'label[for*="password"], label:has-text("Password"), label:has-text("password")',
+      },
+    ],
+    form: [
+      { testId: "login-form" },
+      { css: 'form, [class*="form"], [class*="login"]' },
+    ],
+    logo: [
+      { testId: "logo" },
+      { role: "img", name: /logo|edutrace/i },
+      { css: 'img[alt*="logo"], img[alt*="EduTrace"], [class*="logo"]' },
+    ],
+    forgotPasswordLink: [
+      { testId: "forgot-password" },
+      { role: "link", name: /forgot/i },
+      { css: 'a[href*="forgot"], a[href*="reset"], a:has-text("Forgot")' },
+    ],
+    registerLink: [
+      { testId: "register-link" },
+      { role: "link", name: /create an account|sign up|register/i },
+      { css: 'a[href*="register"], a[href*="sign-up"], a[href*="signup"]' },
+    ],
+    // Success message, e.g. after a password reset or sign-up
+    notice: [
+      { testId: "login-notice" },
+      { role: "status" },
+      { css: '.alert-success, [class*="success"]' },
+    ],
+    // The specific alert shown when the server rejects the credentials
+    errorAlert: [
+      { testId: "login-error", hasText: LoginPage.ERROR_TEXT },
+      { text: LoginPage.ERROR_TEXT, exact: true },
+    ],
+    // Any other visible error indication
+    genericErrors: [
+      {
+        css: '.error, .error-message, .alert-danger, [role="alert"], [class*="error"], [class*="invalid"]',
+      },
+    ],
+  };
+
+  /**
+   * @param {import("@playwright/test").Page} page
+   * @param {import("../support/selectors.js").SelectorHealth} [health]
+   */
+  constructor(page, health) {
+    this.page = page;
+    this.selectors = new SelectorRegistry(
+      page,
+      "login",
+      LoginPage.SELECTORS,
+      health
+    );
+
+    for (const element of Object.keys(LoginPage.SELECTORS)) {
+      this[element] = this.selectors.locator(element);
+    }
+    // Error indications that actually carry a message
+    this.visibleErrors = this.genericErrors.filter({ hasText: /\S/ });
+  }
+
+  /**
+   * Open the login page
+   */
+  async goto() {
+    await this.page.goto(LoginPage.PATH);
+    await this.selectors.probe();
+  }
+
+  /**
+   * Fill the email and password fields, skipping empty values so the
+   * field is left untouched (used for "empty field" scenarios)
+   */
+  async fillCredentials(email, password) {
+    if (email) {
+      await this.emailInput.fill(email);
+    }
+    if (password) {
+      await this.passwordInput.fill(password);
+    }
+  }
+
+  /**
+   * Click the login button
+   */
+  async submit() {
+    await this.submitButton.click();
+  }
+
+  /**
+   * Click the login button and wait for the login API to answer
+   * Returns the response
+   */
+  async submitAndWaitForResponse() {
+    const [response] = await Promise.all([
+      waitForLoginResponse(this.page),
+      this.submit(),
+    ]);
+    return response;
+  }
+
+  /**
+   * Click the login button and wait until the attempt has settled
+   * When HTML5 validation blocks the form no request is sent, so this
+   * returns null straight away; otherwise it waits for the login response
+   */
+  async submitAndSettle() {
+    const formValid = await this.emailInput
+      .first()
+      .evaluate((el) => (el.form ? el.form.checkValidity() : true));
+    if (!formValid) {
+      await this.submit().catch(() => {});
+      return null;
+    }
+    return this.submitAndWaitForResponse();
+  }
+
+  /**
+   * Tick the "Remember me" checkbox
+   */
+  async checkRememberMe() {
+    await this.rememberMeCheckbox.check();
+  }
+
+  /**
+   * Whether the login page offers a "Remember me" checkbox
+   */
+  async hasRememberMe() {
+    return (await this.rememberMeCheckbox.count()) > 0;
+  }
+
+  /**
+   * Follow the "Forgot password" link
+   */
+  async openForgotPassword() {
+    await this.forgotPasswordLink.click();
+    await this.page.waitForURL(/forgot|reset|recover/i);
+  }
+
+  /**
+   * Follow the "Create an account" link
+   */
+  async openRegistration() {
+    await this.registerLink.click();
+    await this.page.waitForURL(/register|sign-?up/i);
+  }
+
+  /**
+   * Full UI login: open the page, submit credentials and wait for the
+   * redirect away from the login page
+   */
+  async login(email, password) {
+    await this.goto();
+    await this.fillCredentials(email, password);
+    await this.submit();
+
+    // Wait for navigation and verify redirect to dashboard
+    await this.page.waitForURL(/dashboard|home|profile/i, { timeout: 10000 });
+
+    // Assert we're not on the login page anymore
+    expect(this.page.url()).not.toContain(LoginPage.PATH);
+  }
+
+  /**
+   * Read the text of the visible error alert, or null if none is shown
+   */
+  async errorText() {
+    const errorAlert = await this.selectors.resolve("errorAlert");
+    if (errorAlert) {
+      return (await errorAlert.first().textContent())?.trim() ?? null;
+    }
+    if ((await this.genericErrors.count()) > 0) {
+      return (await this.genericErrors.first().textContent())?.trim() || null;
+    }
+    return null;
+  }
+
+  /**
+   * Whether the email field currently fails HTML5 validation
+   */
+  async isEmailInvalid() {
+    return this.emailInput.first().evaluate((el) => !el.validity.valid);
+  }
+
+  /**
+   * Whether the password field currently fails HTML5 validation
+   */
+  async isPasswordInvalid() {
+    return this.passwordInput.first().evaluate((el) => !el.validity.valid);
+  }
+
+  /**
+   * Whether the given field carries the `required` attribute
+   */
+  async isRequired(input) {
+    return input.first().evaluate((el) => el.hasAttribute("required"));
+  }
+
+  /**
+   * Whether the password field masks its value
+   */
+  async isPasswordMasked() {
+    return this.passwordInput.evaluate((el) => el.type === "password");
+  }
+
+  /**
+   * Whether the browser is still on the login page
+   */
+  isCurrentPage() {
+    return /login|auth/i.test(this.page.url());
+  }
+}
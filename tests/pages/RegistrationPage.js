@@ -0,0 +1,155 @@
+import { SelectorRegistry } from "../support/selectors.js";
+
+/**
+ * Page object for the EduTrace sign-up form
+ * Selectors live in SELECTORS, best strategy first (see support/selectors.js)
+ */
+export class RegistrationPage {
+  static PATH = "/auth/register";
+  static URL_PATTERN = /register|sign-?up/i;
+
+  static SELECTORS = {
+    nameInput: [
+      { testId: "register-name" },
+      { label: /name/i },
+      { css: 'input[name="name"], input[name*="name" i]' },
+    ],
+    emailInput: [
+      { testId: "register-email" },
+      { role: "textbox", name: /e-?mail/i },
+      { css: 'input[type="email"], input[name="email"]' },
+    ],
+    passwordInput: [
+      { testId: "register-password" },
+      { label: /^password/i },
+      { css: 'input[type="password"][name="password"]' },
+    ],
+    confirmInput: [
+      { testId: "register-confirm" },
+      { label: /confirm/i },
+      { css: 'input[type="password"][name*="confirm"]' },
+    ],
+    termsCheckbox: [
+      { testId: "register-terms" },
+      { role: "checkbox", name: /terms|agree/i },
+      { css: 'input[type="checkbox"][name*="terms"]' },
+    ],
+    submitButton: [
+      { testId: "register-submit" },
+      { role: "button", name: /create account|sign up|register/i },
+      { css: 'button[type="submit"]' },
+    ],
+    errors: [
+      { testId: "register-error" },
+      { css: '.alert-danger, [role="alert"], [class*="error"]' },
+    ],
+  };
+
+  // Form fields by the names the registration scenarios use
+  static FIELDS = {
+    name: "nameInput",
+    email: "emailInput",
+    password: "passwordInput",
+    confirm: "confirmInput",
+    terms: "termsCheckbox",
+  };
+
+  /**
+   * @param {import("@playwright/test").Page} page
+   * @param {import("../support/selectors.js").SelectorHealth} [health]
+   */
+  constructor(page, health) {
+    this.page = page;
+    this.selectors = new SelectorRegistry(
+      page,
+      "registration",
+      RegistrationPage.SELECTORS,
+      health
+    );
+
+    for (const element of Object.keys(RegistrationPage.SELECTORS)) {
+      this[element] = this.selectors.locator(element);
+    }
+    this.visibleErrors = this.errors.filter({ hasText: /\S/ });
+  }
+
+  /**
+   * Open the sign-up form
+   */
+  async goto() {
+    await this.page.goto(RegistrationPage.PATH);
+    await this.selectors.probe();
+  }
+
+  /**
+   * Fill the form, skipping empty values so the field is left untouched
+   * (used for "required field" scenarios). The terms box is ticked when
+   * `terms` is true
+   */
+  async fill({ name, email, password, confirm, terms }) {
+    for (const [field, value] of Object.entries({
+      name,
+      email,
+      password,
+      confirm,
+    })) {
+      if (value) {
+        await this.field(field).fill(value);
+      }
+    }
+    if (terms) {
+      await this.termsCheckbox.check();
+    }
+  }
+
+  /**
+   * Click the submit button and wait until the attempt has settled
+   * When HTML5 validation blocks the form no request is sent, so this
+   * returns null straight away; otherwise it returns the sign-up response
+   */
+  async submitAndSettle() {
+    const formValid = await this.emailInput
+      .first()
+      .evaluate((el) => (el.form ? el.form.checkValidity() : true));
+    if (!formValid) {
+      await this.submitButton.click().catch(() => {});
+      return null;
+    }
+    const [response] = await Promise.all([
+      this.page.waitForResponse(
+        (response) =>
+          response.request().method() === "POST" &&
+          RegistrationPage.URL_PATTERN.test(new URL(response.url()).pathname)
+      ),
+      this.submitButton.click(),
+    ]);
+    return response;
+  }
+
+  /**
+   * Locator of a form field by its scenario name (name, email, ...)
+   */
+  field(name) {
+    const element = RegistrationPage.FIELDS[name];
+    if (!element) {
+      throw new Error(`Unknown registration field "${name}"`);
+    }
+    return this[element];
+  }
+
+  /**
+   * Whether the given field currently fails HTML5 validation
+   */
+  async isFieldInvalid(name) {
+    return this.field(name)
+      .first()
+      .evaluate((el) => !el.validity.valid);
+  }
+
+  /**
+   * Whether the browser is still on the sign-up form
+   */
+  isCurrentPage() {
+    return RegistrationPage.URL_PATTERN.test(this.page.url());
+  }
+}
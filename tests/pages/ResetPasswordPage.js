@@ -0,0 +1,86 @@
+import { SelectorRegistry } from "../support/selectors.js";
+
+/**
+ * Page object for the "Choose a new password" form opened from the reset
+ * email
+ * Selectors live in SELECTORS, best strategy first (see support/selectors.js)
+ */
+export class ResetPasswordPage {
+  static URL_PATTERN = /reset/i;
+
+  static SELECTORS = {
+    passwordInput: [
+      { testId: "reset-password" },
+      { label: /^new password/i },
+      { css: 'input[type="password"][name="password"]' },
+    ],
+    confirmInput: [
+      { testId: "reset-confirm" },
+      { label: /confirm/i },
+      { css: 'input[type="password"][name*="confirm"]' },
+    ],
+    submitButton: [
+      { testId: "reset-submit" },
+      { role: "button", name: /reset|save|change/i },
+      { css: 'button[type="submit"]' },
+    ],
+    errors: [
+      { testId: "reset-error" },
+      { css: '.alert-danger, [role="alert"], [class*="error"]' },
+    ],
+    // Shown instead of the form when the link is unknown, used or expired
+    invalidLink: [
+      { testId: "reset-invalid" },
+      { text: /invalid or has expired|no longer valid/i },
+    ],
+  };
+
+  /**
+   * @param {import("@playwright/test").Page} page
+   * @param {import("../support/selectors.js").SelectorHealth} [health]
+   */
+  constructor(page, health) {
+    this.page = page;
+    this.selectors = new SelectorRegistry(
+      page,
+      "reset-password",
+      ResetPasswordPage.SELECTORS,
+      health
+    );
+
+    for (const element of Object.keys(ResetPasswordPage.SELECTORS)) {
+      this[element] = this.selectors.locator(element);
+    }
+    this.visibleErrors = this.errors.filter({ hasText: /\S/ });
+  }
+
+  /**
+   * Open a reset link, usually one taken from the reset email
+   */
+  async open(link) {
+    await this.page.goto(link);
+    // A dead link shows only its message, so there is no form to probe
+    if (!(await this.selectors.resolve("invalidLink"))) {
+      await this.selectors.probe();
+    }
+  }
+
+  /**
+   * Fill both password fields (confirm defaults to the same value) and
+   * submit, waiting for the app to answer
+   * Returns the response of the request
+   */
+  async setPassword(password, confirm = password) {
+    await this.passwordInput.fill(password);
+    await this.confirmInput.fill(confirm);
+    const [response] = await Promise.all([
+      this.page.waitForResponse(
+        (response) =>
+          response.request().method() === "POST" &&
+          /reset/i.test(new URL(response.url()).pathname)
+      ),
+      this.submitButton.click(),
+    ]);
+    return response;
+  }
+}
@@ -0,0 +1,210 @@
+import {
+  test,
+  expect,
+  env,
+  DashboardPage,
+  ResetPasswordPage,
+  loginRejection,
+  passwordResetRejection,
+} from "./fixtures.js";
+import { messageLinks } from "./support/mailbox.js";
+import { passwordPolicy, uniqueEmail } from "./support/test-data.js";
+
+/**
+ * Forgot password and reset flow
+ * Every test works on its own throwaway `testUser` from the test data
+ * factory, so changing a password never affects the shared accounts.
+ * Reset emails are read from the mail catcher
+ */
+const policy = passwordPolicy();
+const RESET_SUBJECT = /reset/i;
+
+test.describe("Password Reset", () => {
+  test.skip(
+    !env.mailCatcherURL || !env.testDataPaths,
+    `No mail catcher or test data endpoints in the "${env.name}" profile`
+  );
+  // Refused passwords and logins are part of these tests
+  test.use({
+    authRole: null,
+    pageGuardIgnore: [passwordResetRejection, loginRejection],
+  });
+
+  /**
+   * Go from the login page to the user's reset email and return its link
+   */
+  async function requestResetLink({
+    loginPage,
+    forgotPasswordPage,
+    mailbox,
+    testUser,
+  }) {
+    await loginPage.goto();
+    await loginPage.openForgotPassword();
+    const response = await forgotPasswordPage.requestReset(testUser.email);
+    expect(response.ok(), "reset request refused").toBe(true);
+
+    const message = await mailbox.waitForMessage(testUser.email, {
+      subject: RESET_SUBJECT,
+    });
+    const [link] = messageLinks(message, ResetPasswordPage.URL_PATTERN);
+    expect(link, "reset email has no reset link").toBeTruthy();
+    return link;
+  }
+
+  /**
+   * RESET-01: Reset request from the login page
+   * Expected: The "Forgot password" link leads to a form that confirms the
+   * request and one email with a reset link reaches the account
+   */
+  test("RESET-01: Forgot password sends a reset email", async ({
+    loginPage,
+    forgotPasswordPage,
+    mailbox,
+    testUser,
+  }) => {
+    await requestResetLink({
+      loginPage,
+      forgotPasswordPage,
+      mailbox,
+      testUser,
+    });
+
+    await expect(forgotPasswordPage.confirmation.first()).toBeVisible();
+    const messages = await mailbox.messagesTo(testUser.email);
+    expect(messages).toHaveLength(1);
+    expect(messages[0].subject).toMatch(RESET_SUBJECT);
+  });
+
+  /**
+   * RESET-02: No account enumeration
+   * Expected: An unknown email gets the same confirmation as a registered
+   * one, and no email is sent to it
+   */
+  test("RESET-02: Unknown email gets the same answer and no email", async ({
+    forgotPasswordPage,
+    mailbox,
+    testUser,
+  }) => {
+    await forgotPasswordPage.goto();
+    await forgotPasswordPage.requestReset(testUser.email);
+    const knownText = await forgotPasswordPage.confirmation.first().innerText();
+    await mailbox.waitForMessage(testUser.email, { subject: RESET_SUBJECT });
+
+    const unknown = uniqueEmail("nobody");
+    await forgotPasswordPage.goto();
+    await forgotPasswordPage.requestReset(unknown);
+    await expect(forgotPasswordPage.confirmation.first()).toHaveText(knownText);
+
+    // The known account's email has already arrived, so one for the
+    // unknown address would have too
+    expect(await mailbox.messagesTo(unknown)).toEqual([]);
+  });
+
+  /**
+   * RESET-03: Password policy on reset
+   * Expected: Passwords breaking the policy and mismatched confirmations
+   * are refused with a message, and the link stays usable afterwards
+   */
+  test("RESET-03: New password must meet the policy", async ({
+    page,
+    loginPage,
+    forgotPasswordPage,
+    resetPasswordPage,
+    mailbox,
+    testUser,
+  }) => {
+    const link = await requestResetLink({
+      loginPage,
+      forgotPasswordPage,
+      mailbox,
+      testUser,
+    });
+    await resetPasswordPage.open(link);
+
+    for (const { password, reason } of policy.invalid) {
+      const response = await resetPasswordPage.setPassword(password);
+      expect
+        .soft(response.ok(), `accepted a password with ${reason}`)
+        .toBe(false);
+      await expect
+        .soft(resetPasswordPage.visibleErrors.first(), reason)
+        .toBeVisible();
+    }
+
+    const [valid] = policy.valid;
+    const mismatch = await resetPasswordPage.setPassword(valid, `${valid}x`);
+    expect(mismatch.ok(), "accepted a mismatched confirmation").toBe(false);
+    await expect(resetPasswordPage.visibleErrors.first()).toContainText(
+      /match/i
+    );
+    expect(page.url()).toMatch(ResetPasswordPage.URL_PATTERN);
+
+    const accepted = await resetPasswordPage.setPassword(valid);
+    expect(accepted.ok(), "link stopped working after refused tries").toBe(
+      true
+    );
+  });
+
+  /**
+   * RESET-04: Log in after reset
+   * Expected: After a reset the user lands on the login page, the old
+   * password is refused and the new one logs in
+   */
+  test("RESET-04: New password logs in and the old one is refused", async ({
+    page,
+    loginPage,
+    forgotPasswordPage,
+    resetPasswordPage,
+    mailbox,
+    testUser,
+  }) => {
+    const link = await requestResetLink({
+      loginPage,
+      forgotPasswordPage,
+      mailbox,
+      testUser,
+    });
+    const [newPassword] = policy.valid;
+
+    await resetPasswordPage.open(link);
+    await resetPasswordPage.setPassword(newPassword);
+    await page.waitForURL((url) => url.pathname.includes(env.loginPath));
+    await expect(loginPage.notice.first()).toBeVisible();
+
+    await loginPage.fillCredentials(testUser.email, testUser.password);
+    const old = await loginPage.submitAndWaitForResponse();
+    expect(old.ok(), "old password still accepted").toBe(false);
+
+    await loginPage.login(testUser.email, newPassword);
+    await expect(page).toHaveURL(DashboardPage.URL_PATTERN);
+  });
+
+  /**
+   * RESET-05: Reset links are single use
+   * Expected: Once a reset has gone through, opening the same link again
+   * shows an invalid link message instead of the form
+   */
+  test("RESET-05: Used reset link cannot be reused", async ({
+    page,
+    loginPage,
+    forgotPasswordPage,
+    resetPasswordPage,
+    mailbox,
+    testUser,
+  }) => {
+    const link = await requestResetLink({
+      loginPage,
+      forgotPasswordPage,
+      mailbox,
+      testUser,
+    });
+    await resetPasswordPage.open(link);
+    await resetPasswordPage.setPassword(policy.valid[0]);
+    await page.waitForURL((url) => url.pathname.includes(env.loginPath));
+
+    await resetPasswordPage.open(link);
+    await expect(resetPasswordPage.invalidLink.first()).toBeVisible();
+    await expect(resetPasswordPage.passwordInput).toHaveCount(0);
+  });
+});
@@ -0,0 +1,80 @@
+import { test, expect, DashboardPage } from "./fixtures.js";
+
+/**
+ * Performance budgets
+ * Every page loaded is measured by the performanceMonitor fixture and
+ * compared with config/performance-budgets.json. Results are attached to
+ * the report and added to the run history by reporters/performance.js
+ */
+
+/**
+ * Soft-assert that every page and flow measured so far is within budget
+ */
+async function expectWithinBudget(performanceMonitor) {
+  await performanceMonitor.settle();
+  const { pages, flows } = performanceMonitor.results();
+  expect(pages.length, "no page was measured").toBeGreaterThan(0);
+
+  for (const entry of [...pages, ...flows]) {
+    expect
+      .soft(entry.violations, `${entry.path ?? entry.name} over budget`)
+      .toEqual([]);
+  }
+}
+
+test.describe("Performance Budgets", () => {
+  test.describe("Login", () => {
+    test.use({ authRole: null });
+
+    /**
+     * PERF-01: Login page and login to dashboard
+     * Expected: The login page loads within its budget, and clicking login
+     * shows the dashboard within the login-to-dashboard budget
+     */
+    test("PERF-01: Login page and login to dashboard stay within budget", async ({
+      page,
+      loginPage,
+      dashboardPage,
+      performanceMonitor,
+      testUser,
+    }) => {
+      await loginPage.goto();
+      await performanceMonitor.capture();
+
+      await loginPage.fillCredentials(testUser.email, testUser.password);
+      await performanceMonitor.measure("login-to-dashboard", async () => {
+        await loginPage.submit();
+        await page.waitForURL(DashboardPage.URL_PATTERN);
+        await expect(dashboardPage.welcomeHeading.first()).toBeVisible();
+      });
+      await performanceMonitor.capture();
+
+      await expectWithinBudget(performanceMonitor);
+    });
+  });
+
+  /**
+   * PERF-02: Dashboard pages
+   * Expected: The dashboard and every page in its menu load within their
+   * budgets
+   */
+  test("PERF-02: Dashboard pages stay within budget", async ({
+    page,
+    dashboardPage,
+    performanceMonitor,
+  }) => {
+    await dashboardPage.goto();
+    await dashboardPage.waitForLoaded();
+    await performanceMonitor.capture();
+
+    // menuPaths() starts with the dashboard itself, measured above
+    const [, ...menuPaths] = await dashboardPage.menuPaths();
+    for (const pagePath of menuPaths) {
+      await page.goto(pagePath);
+      await dashboardPage.waitForLoaded();
+      await performanceMonitor.capture();
+    }
+
+    await expectWithinBudget(performanceMonitor);
+  });
+});
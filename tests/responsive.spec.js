@@ -0,0 +1,152 @@
+import { test, expect, loginRejection } from "./fixtures.js";
+import {
+  expectFitsScreen,
+  layoutProblems,
+  MIN_TAP_TARGET,
+} from "./support/layout.js";
+import { uniqueEmail } from "./support/test-data.js";
+
+/**
+ * Responsive layout
+ * Runs in the phone and tablet projects (emulated devices with touch, DPR
+ * and user agent) as well as on desktop. Checks that the login page and the
+ * dashboard fit the screen: no horizontal scrolling, no overlapping or
+ * clipped elements, and tap targets of at least MIN_TAP_TARGET pixels
+ */
+
+/** Screens narrower than this are phones, where the menu must collapse */
+const PHONE_MAX_WIDTH = 600;
+
+/**
+ * Assert that every control on the page is large enough to tap
+ */
+async function expectTappable(page, where) {
+  const { smallTapTargets } = await layoutProblems(page);
+  expect(
+    smallTapTargets,
+    `tap targets under ${MIN_TAP_TARGET}px on ${where}`
+  ).toEqual([]);
+}
+
+test.describe("Responsive Layout", () => {
+  test.describe("Login Page", () => {
+    // RESP-01 shows the error with a rejected login
+    test.use({
+      authRole: null,
+      pageGuardIgnore: [loginRejection],
+      isolatedClient: true,
+    });
+
+    test.beforeEach(async ({ loginPage }) => {
+      await loginPage.goto();
+    });
+
+    /**
+     * RESP-01: Login page fits the screen
+     * Expected: No horizontal scrolling, overlapping or clipped elements,
+     * with or without the error message of a rejected login
+     */
+    test("RESP-01: Login page fits the screen", async ({ page, loginPage }) => {
+      await expectFitsScreen(page, "the login page");
+
+      // An empty form never reaches the server (HTML5 required), so the
+      // error comes from wrong credentials
+      await loginPage.fillCredentials(uniqueEmail("nobody"), "Wrong@Pass1");
+      await loginPage.submitAndWaitForResponse();
+      await expect(loginPage.visibleErrors.first()).toBeVisible();
+      await expectFitsScreen(page, "the login page with errors");
+    });
+
+    /**
+     * RESP-02: Login page tap targets
+     * Expected: Inputs, buttons, links and the remember me checkbox are at
+     * least MIN_TAP_TARGET pixels in both directions
+     */
+    test("RESP-02: Login page controls are large enough to tap", async ({
+      page,
+    }) => {
+      await expectTappable(page, "the login page");
+    });
+  });
+
+  test.describe("Dashboard", () => {
+    test.beforeEach(async ({ dashboardPage }) => {
+      await dashboardPage.goto();
+      await dashboardPage.waitForLoaded();
+    });
+
+    /**
+     * RESP-03: Dashboard fits the screen
+     * Expected: No horizontal scrolling, overlapping or clipped elements,
+     * with the menu closed and, when it collapses, open
+     */
+    test("RESP-03: Dashboard fits the screen", async ({
+      page,
+      dashboardPage,
+      hasTouch,
+    }) => {
+      await expectFitsScreen(page, "the dashboard");
+
+      if (await dashboardPage.isNavCollapsed()) {
+        await dashboardPage.openNav({ touch: hasTouch });
+        await expectFitsScreen(page, "the dashboard with the menu open");
+      }
+    });
+
+    /**
+     * RESP-04: Dashboard tap targets
+     * Expected: The menu links, menu toggle and logout button are at least
+     * MIN_TAP_TARGET pixels in both directions
+     */
+    test("RESP-04: Dashboard controls are large enough to tap", async ({
+      page,
+      dashboardPage,
+      hasTouch,
+    }) => {
+      if (await dashboardPage.isNavCollapsed()) {
+        await dashboardPage.openNav({ touch: hasTouch });
+      }
+      await expectTappable(page, "the dashboard");
+    });
+
+    /**
+     * RESP-05: Navigation menu on small screens
+     * Expected: On phones the menu is collapsed behind a toggle that opens
+     * it; its links then work. On larger screens the links are visible
+     */
+    test("RESP-05: Collapsed menu opens and navigates", async ({
+      page,
+      dashboardPage,
+      isMobile,
+      hasTouch,
+      viewport,
+    }) => {
+      const isPhone = isMobile && viewport.width < PHONE_MAX_WIDTH;
+      const collapsed = await dashboardPage.isNavCollapsed();
+      if (isPhone) {
+        expect(collapsed, "menu should collapse on a phone").toBe(true);
+      }
+      if (!collapsed) {
+        await expect(dashboardPage.navMenuLinks.first()).toBeVisible();
+        return;
+      }
+
+      const toggle = dashboardPage.navToggle.first();
+      await expect(toggle).toHaveAttribute("aria-expanded", "false");
+      await dashboardPage.openNav({ touch: hasTouch });
+      await expect(toggle).toHaveAttribute("aria-expanded", "true");
+
+      const [, target] = await dashboardPage.menuPaths();
+      expect(target, "menu has no page to go to besides this one").toBeTruthy();
+      const link = dashboardPage.navMenuLinks.and(
+        page.locator(`[href="${target}"]`)
+      );
+      await (hasTouch ? link.tap() : link.click());
+      await expect(page).toHaveURL((url) => url.pathname === target);
+      await expect(
+        dashboardPage.navMenuLinks.first(),
+        "menu stays collapsed after navigating"
+      ).toBeHidden();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import { test, expect, env, DashboardPage } from "./fixtures.js";
+import {
+  authCookies,
+  cookieFlagProblems,
+  webStorageTokens,
+} from "./support/session.js";
+import { waitForUrl } from "./support/waits.js";
+
+test.describe("Session Security", () => {
+  // Every test logs in as its own user: logging out must never end the
+  // shared session saved by auth.setup.js
+  test.use({ authRole: null });
+
+  test.beforeEach(async ({ loginPage, testUser }) => {
+    await loginPage.login(testUser.email, testUser.password);
+  });
+
+  /**
+   * SEC-SESSION-01: Auth cookie flags
+   * Expected: Session cookies are HttpOnly, not SameSite=None, and Secure
+   * when the app is served over HTTPS
+   */
+  test("SEC-SESSION-01: Auth cookies are HttpOnly, SameSite and Secure", async ({
+    context,
+  }) => {
+    const cookies = authCookies(await context.cookies());
+    expect(
+      cookies.length,
+      "no session cookie found after login"
+    ).toBeGreaterThan(0);
+
+    const requireSecure = new URL(env.baseURL).protocol === "https:";
+    if (!requireSecure) {
+      test.info().annotations.push({
+        type: "note",
+        description: `Secure flag not checked: ${env.baseURL} is plain HTTP`,
+      });
+    }
+
+    for (const cookie of cookies) {
+      expect
+        .soft(cookieFlagProblems(cookie, { requireSecure }), cookie.name)
+        .toEqual([]);
+    }
+  });
+
+  /**
+   * SEC-SESSION-02: No tokens in web storage
+   * Expected: Nothing token-like is left in localStorage or sessionStorage
+   */
+  test("SEC-SESSION-02: No tokens left in web storage", async ({
+    page,
+    dashboardPage,
+    testUser,
+  }) => {
+    await dashboardPage.goto();
+    expect(
+      await webStorageTokens(page, { password: testUser.password })
+    ).toEqual([]);
+  });
+
+  /**
+   * SEC-SESSION-03: Logout invalidates the server session
+   * Expected: Replaying the cookies captured before logout in a fresh
+   * browser context does not get back in
+   */
+  test("SEC-SESSION-03: Logout invalidates the server session", async ({
+    browser,
+    context,
+    dashboardPage,
+  }) => {
+    const oldCookies = authCookies(await context.cookies());
+    expect(
+      oldCookies.length,
+      "no session cookie found after login"
+    ).toBeGreaterThan(0);
+
+    await dashboardPage.logout();
+    const remaining = authCookies(await context.cookies()).filter(
+      (cookie) => cookie.value
+    );
+    expect
+      .soft(
+        remaining.map((cookie) => cookie.name),
+        "session cookies kept by the browser after logout"
+      )
+      .toEqual([]);
+
+    const replay = await browser.newContext({ baseURL: env.baseURL });
+    try {
+      await replay.addCookies(oldCookies);
+      const replayPage = await replay.newPage();
+      await replayPage.goto(DashboardPage.PATH);
+      await waitForUrl(replayPage, /login|auth/i);
+
+      expect(replayPage.url(), "old session cookie still accepted").toMatch(
+        /login|auth/i
+      );
+    } finally {
+      await replay.close();
+    }
+  });
+
+  /**
+   * SEC-SESSION-04: Back button after logout
+   * Expected: Going back after logout does not show the cached dashboard
+   */
+  test("SEC-SESSION-04: Back button after logout shows no cached content", async ({
+    page,
+    dashboardPage,
+  }) => {
+    await dashboardPage.goto();
+    const userName = (await dashboardPage.userName.first().innerText()).trim();
+    expect(userName).toBeTruthy();
+
+    await dashboardPage.logout();
+    await page.goBack();
+    await waitForUrl(page, /login|auth/i);
+
+    await expect(page.getByText(userName)).toHaveCount(0);
+    await expect(dashboardPage.logoutButton).toHaveCount(0);
+  });
+});
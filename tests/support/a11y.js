@@ -0,0 +1,357 @@
+import { test } from "@playwright/test";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Offline accessibility checker
+ * Runs entirely inside the page with page.evaluate (no external service) and
+ * returns violations as { rule, selector, message }. Known issues listed in
+ * config/a11y-allowlist.json are reported as allowed instead of failing
+ */
+
+const ALLOWLIST_FILE = path.resolve(
+  __dirname,
+  "../../config/a11y-allowlist.json"
+);
+
+/**
+ * Read the allowlist of known issues
+ * Entries: { rule, page?, selector?, reason } - page and selector are
+ * substrings matched against the audited page name and the violation selector
+ */
+export function loadAllowlist(file = ALLOWLIST_FILE) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * DOM rules evaluated in the browser
+ * Must stay self-contained: Playwright serializes it into the page
+ */
+function auditDom() {
+  const ARIA_ROLES = new Set(
+    (
+      "alert alertdialog application article banner blockquote button caption " +
+      "cell checkbox code columnheader combobox complementary contentinfo " +
+      "definition deletion dialog directory document emphasis feed figure form " +
+      "generic grid gridcell group heading img insertion link list listbox " +
+      "listitem log main marquee math menu menubar menuitem menuitemcheckbox " +
+      "menuitemradio meter navigation none note option paragraph presentation " +
+      "progressbar radio radiogroup region row rowgroup rowheader scrollbar " +
+      "search searchbox separator slider spinbutton status strong subscript " +
+      "superscript switch tab table tablist tabpanel term textbox time timer " +
+      "toolbar tooltip tree treegrid treeitem"
+    ).split(" ")
+  );
+  const INTERACTIVE =
+    'a[href], button, input:not([type="hidden"]), select, textarea, ' +
+    '[role="button"], [role="link"], [role="checkbox"], [role="menuitem"], ' +
+    '[role="tab"], [role="switch"], [role="textbox"], [role="combobox"]';
+
+  const violations = [];
+
+  function selectorFor(el) {
+    if (el.id) {
+      return `${el.tagName.toLowerCase()}#${el.id}`;
+    }
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && parts.length < 4) {
+      let part = node.tagName.toLowerCase();
+      if (node.id) {
+        parts.unshift(`${part}#${node.id}`);
+        break;
+      }
+      const parent = node.parentElement;
+      if (parent) {
+        const siblings = [...parent.children].filter(
+          (child) => child.tagName === node.tagName
+        );
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      node = parent;
+    }
+    return parts.join(" > ");
+  }
+
+  function isVisible(el) {
+    const style = window.getComputedStyle(el);
+    const box = el.getBoundingClientRect();
+    return (
+      style.visibility !== "hidden" &&
+      style.display !== "none" &&
+      box.width > 0 &&
+      box.height > 0
+    );
+  }
+
+  function accessibleName(el) {
+    const labelledBy = el.getAttribute("aria-labelledby");
+    if (labelledBy) {
+      const text = labelledBy
+        .split(/\s+/)
+        .map((id) => document.getElementById(id)?.textContent ?? "")
+        .join(" ")
+        .trim();
+      if (text) {
+        return text;
+      }
+    }
+    const ariaLabel = el.getAttribute("aria-label")?.trim();
+    if (ariaLabel) {
+      return ariaLabel;
+    }
+    if (el.labels && el.labels.length > 0) {
+      const text = [...el.labels]
+        .map((label) => label.textContent)
+        .join(" ")
+        .trim();
+      if (text) {
+        return text;
+      }
+    }
+    if (
+      el.tagName === "INPUT" &&
+      ["submit", "button", "reset"].includes(el.type)
+    ) {
+      return el.value?.trim() || "";
+    }
+    if (el.tagName === "INPUT" && el.type === "image") {
+      return el.alt?.trim() || "";
+    }
+    const text =
+      el.textContent.trim() ||
+      [...el.querySelectorAll("img[alt]")]
+        .map((img) => img.alt)
+        .join(" ")
+        .trim();
+    return (
+      text ||
+      el.getAttribute("title")?.trim() ||
+      el.getAttribute("placeholder")?.trim() ||
+      ""
+    );
+  }
+
+  // Interactive elements need an accessible name
+  for (const el of document.querySelectorAll(INTERACTIVE)) {
+    if (isVisible(el) && !accessibleName(el)) {
+      violations.push({
+        rule: "accessible-name",
+        selector: selectorFor(el),
+        message: `<${el.tagName.toLowerCase()}> has no accessible name`,
+      });
+    }
+  }
+
+  // role attributes must name real ARIA roles
+  for (const el of document.querySelectorAll("[role]")) {
+    const roles = el.getAttribute("role").trim().split(/\s+/);
+    if (!roles.some((role) => ARIA_ROLES.has(role))) {
+      violations.push({
+        rule: "aria-role",
+        selector: selectorFor(el),
+        message: `Invalid ARIA role "${el.getAttribute("role")}"`,
+      });
+    }
+  }
+
+  // Images need alt text (alt="" marks them decorative)
+  for (const img of document.querySelectorAll("img")) {
+    if (
+      !img.hasAttribute("alt") &&
+      img.getAttribute("role") !== "presentation"
+    ) {
+      violations.push({
+        rule: "image-alt",
+        selector: selectorFor(img),
+        message: `Image ${img.getAttribute("src") ?? ""} has no alt attribute`,
+      });
+    }
+  }
+
+  // ids must be unique
+  const ids = new Map();
+  for (const el of document.querySelectorAll("[id]")) {
+    ids.set(el.id, (ids.get(el.id) ?? 0) + 1);
+  }
+  for (const [id, count] of ids) {
+    if (count > 1) {
+      violations.push({
+        rule: "duplicate-id",
+        selector: `#${id}`,
+        message: `id "${id}" is used ${count} times`,
+      });
+    }
+  }
+
+  // Headings start at h1 and never skip a level on the way down
+  let previous = 0;
+  for (const heading of document.querySelectorAll("h1, h2, h3, h4, h5, h6")) {
+    if (!isVisible(heading)) {
+      continue;
+    }
+    const level = Number(heading.tagName[1]);
+    if (previous === 0 && level !== 1) {
+      violations.push({
+        rule: "heading-order",
+        selector: selectorFor(heading),
+        message: `First heading is h${level}, expected h1`,
+      });
+    } else if (previous > 0 && level > previous + 1) {
+      violations.push({
+        rule: "heading-order",
+        selector: selectorFor(heading),
+        message: `h${level} follows h${previous} (skips a level)`,
+      });
+    }
+    previous = level;
+  }
+
+  return violations;
+}
+
+/**
+ * Check that keyboard focus is visible on every focusable element
+ * Tabs through the page and compares each focused element's outline and
+ * box-shadow with its unfocused style
+ */
+async function auditFocusVisibility(page, { maxTabs = 50 } = {}) {
+  const count = await page.evaluate(() => {
+    const focusable = [
+      ...document.querySelectorAll(
+        'a[href], button:not([disabled]), input:not([type="hidden"]):not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+      ),
+    ];
+    window.__a11yBaseline = new Map(
+      focusable.map((el) => {
+        const style = window.getComputedStyle(el);
+        return [
+          el,
+          `${style.outlineStyle}|${style.outlineWidth}|${style.boxShadow}`,
+        ];
+      })
+    );
+    document.activeElement?.blur();
+    return focusable.length;
+  });
+
+  const violations = [];
+  const seen = new Set();
+  for (let i = 0; i < Math.min(count, maxTabs); i++) {
+    await page.keyboard.press("Tab");
+    const result = await page.evaluate(() => {
+      const el = document.activeElement;
+      if (!el || el === document.body || !window.__a11yBaseline.has(el)) {
+        return null;
+      }
+      const style = window.getComputedStyle(el);
+      const hasOutline =
+        style.outlineStyle !== "none" && parseFloat(style.outlineWidth) > 0;
+      const changed =
+        `${style.outlineStyle}|${style.outlineWidth}|${style.boxShadow}` !==
+        window.__a11yBaseline.get(el);
+      const label = el.id
+        ? `${el.tagName.toLowerCase()}#${el.id}`
+        : `${el.tagName.toLowerCase()}${
+            el.textContent.trim()
+              ? `("${el.textContent.trim().slice(0, 30)}")`
+              : ""
+          }`;
+      return { label, visible: hasOutline || changed };
+    });
+    if (!result || seen.has(result.label)) {
+      continue;
+    }
+    seen.add(result.label);
+    if (!result.visible) {
+      violations.push({
+        rule: "focus-visible",
+        selector: result.label,
+        message: "No visible focus indicator when focused with the keyboard",
+      });
+    }
+  }
+  await page.evaluate(() => {
+    document.activeElement?.blur();
+    delete window.__a11yBaseline;
+  });
+  return violations;
+}
+
+/**
+ * Check that the element holding a status or error message is announced
+ * It must sit in a live region (aria-live, or role alert/status/log)
+ */
+export async function auditLiveRegion(locator) {
+  return locator.evaluate((el) => {
+    const region = el.closest(
+      '[aria-live], [role="alert"], [role="status"], [role="log"]'
+    );
+    if (region && region.getAttribute("aria-live") !== "off") {
+      return [];
+    }
+    return [
+      {
+        rule: "aria-live",
+        selector: el.id ? `#${el.id}` : el.tagName.toLowerCase(),
+        message: `"${el.textContent.trim()}" is not inside an aria-live region`,
+      },
+    ];
+  });
+}
+
+/**
+ * Split violations into failures and allowlisted known issues
+ */
+export function applyAllowlist(
+  violations,
+  pageName,
+  allowlist = loadAllowlist()
+) {
+  const failures = [];
+  const allowed = [];
+  for (const violation of violations) {
+    const entry = allowlist.find(
+      (item) =>
+        item.rule === violation.rule &&
+        (!item.page || pageName.includes(item.page)) &&
+        (!item.selector || violation.selector.includes(item.selector))
+    );
+    if (entry) {
+      allowed.push({ ...violation, reason: entry.reason });
+    } else {
+      failures.push(violation);
+    }
+  }
+  return { failures, allowed };
+}
+
+/**
+ * Audit the current page and attach the report to the test
+ * Returns the violations that are not allowlisted
+ */
+export async function auditPage(page, pageName, { extra = [] } = {}) {
+  const violations = [
+    ...(await page.evaluate(auditDom)),
+    ...(await auditFocusVisibility(page)),
+    ...extra,
+  ];
+  const { failures, allowed } = applyAllowlist(violations, pageName);
+
+  await test.info().attach(`a11y-${pageName}`, {
+    body: JSON.stringify(
+      { page: pageName, url: page.url(), failures, allowed },
+      null,
+      2
+    ),
+    contentType: "application/json",
+  });
+
+  return failures;
+}
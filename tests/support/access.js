@@ -0,0 +1,81 @@
+import fs from "fs";
+
+/**
+ * Role-based access helpers
+ * The access matrix (tests/data/access-matrix.json) lists, per role, the menu
+ * items the role should see and the outcome of opening each route directly
+ */
+
+export const ACCESS_OUTCOMES = ["allowed", "redirected", "forbidden"];
+
+// Text shown by pages that refuse access without a 401/403 status
+const DENIED_TEXT =
+  /access denied|forbidden|not authori[sz]ed|unauthori[sz]ed/i;
+
+/**
+ * Read the access matrix and check that every role lists every route with
+ * a known outcome, so a missing cell fails loudly instead of going untested
+ */
+export function loadAccessMatrix(file) {
+  const matrix = JSON.parse(fs.readFileSync(file, "utf8"));
+  const problems = [];
+
+  for (const [role, expected] of Object.entries(matrix.roles)) {
+    for (const route of matrix.routes) {
+      if (!(route in expected.access)) {
+        problems.push(`${role}: no outcome for ${route}`);
+      }
+    }
+    for (const [route, outcome] of Object.entries(expected.access)) {
+      if (!matrix.routes.includes(route)) {
+        problems.push(`${role}: ${route} is not in "routes"`);
+      }
+      if (!ACCESS_OUTCOMES.includes(outcome)) {
+        problems.push(
+          `${role}: unknown outcome "${outcome}" for ${route} ` +
+            `(use ${ACCESS_OUTCOMES.join(", ")})`
+        );
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid access matrix ${file}:\n  ${problems.join("\n  ")}`
+    );
+  }
+  return matrix;
+}
+
+/**
+ * Open a route directly and classify what happened
+ * - redirected: the browser ended up on another path (server or client side)
+ * - forbidden: 401/403, or the page stayed put but says access is denied
+ * - allowed: the page rendered normally
+ * Any other 4xx/5xx is returned as "http-<status>" so it never passes
+ * @param {import("@playwright/test").Page} page
+ */
+export async function accessOutcome(page, route) {
+  const response = await page.goto(route);
+  // Give client-side guards a chance to redirect
+  await page.waitForLoadState("networkidle", { timeout: 5000 }).catch(() => {});
+
+  const status = response?.status() ?? 0;
+  const landed = new URL(page.url()).pathname;
+  const result = { route, status, landed };
+
+  if (landed !== new URL(route, page.url()).pathname) {
+    return { ...result, outcome: "redirected" };
+  }
+  if (
+    status === 401 ||
+    status === 403 ||
+    DENIED_TEXT.test(await page.locator("body").innerText())
+  ) {
+    return { ...result, outcome: "forbidden" };
+  }
+  if (status >= 400) {
+    return { ...result, outcome: `http-${status}` };
+  }
+  return { ...result, outcome: "allowed" };
+}
@@ -0,0 +1,55 @@
+import fs from "fs";
+import path from "path";
+import Ajv from "ajv";
+
+/**
+ * API response contracts
+ * Every tests/data/api-schemas/*.schema.json file is registered under its
+ * `$id`, so schemas can `$ref` each other (e.g. "user")
+ */
+
+const SCHEMA_DIR = path.resolve(__dirname, "../data/api-schemas");
+
+let ajv;
+
+function validator() {
+  if (!ajv) {
+    ajv = new Ajv({ allErrors: true });
+    for (const name of fs.readdirSync(SCHEMA_DIR).sort()) {
+      if (name.endsWith(".schema.json")) {
+        ajv.addSchema(
+          JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, name), "utf8"))
+        );
+      }
+    }
+  }
+  return ajv;
+}
+
+/**
+ * What is wrong with a body against the named schema, empty when it matches
+ */
+export function contractErrors(schemaId, body) {
+  const validate = validator().getSchema(schemaId);
+  if (!validate) {
+    throw new Error(`No API schema with $id "${schemaId}" in ${SCHEMA_DIR}`);
+  }
+  if (validate(body)) {
+    return [];
+  }
+  return validate.errors.map(
+    (error) => `${error.instancePath || "body"} ${error.message}`
+  );
+}
+
+/**
+ * Read a JSON response body, or null when it isn't JSON
+ * @param {import("@playwright/test").APIResponse} response
+ */
+export async function jsonBody(response) {
+  const type = response.headers()["content-type"] ?? "";
+  if (!type.includes("application/json")) {
+    return null;
+  }
+  return response.json().catch(() => null);
+}
@@ -0,0 +1,150 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * EduTrace brand tokens and the helpers to check pages against them
+ * Tokens live in config/brand-tokens.json and are versioned with the suite
+ */
+
+const TOKENS_FILE = path.resolve(__dirname, "../../config/brand-tokens.json");
+
+/**
+ * Read the brand token file
+ */
+export function loadBrandTokens(file = TOKENS_FILE) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Parse a CSS color (#rgb, #rrggbb, rgb(), rgba()) into { r, g, b, a }
+ */
+export function parseColor(value) {
+  const text = String(value).trim().toLowerCase();
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const digits =
+      hex[1].length === 3
+        ? [...hex[1]].map((digit) => digit + digit).join("")
+        : hex[1];
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: 1,
+    };
+  }
+  const rgb = text.match(/^rgba?\(([^)]+)\)$/);
+  if (rgb) {
+    const [r, g, b, a = "1"] = rgb[1].split(/[\s,/]+/).filter(Boolean);
+    return { r: Number(r), g: Number(g), b: Number(b), a: Number(a) };
+  }
+  throw new Error(`Unsupported color value: ${value}`);
+}
+
+/**
+ * Normalize any supported color to "rgb(r, g, b)" (or rgba when translucent)
+ * so token values and computed styles compare as equal strings
+ */
+export function normalizeColor(value) {
+  const { r, g, b, a } = parseColor(value);
+  return a === 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${a})`;
+}
+
+/**
+ * Normalize a font-family list: lowercase, no quotes, single spaces
+ */
+export function normalizeFontFamily(value) {
+  return String(value)
+    .split(",")
+    .map((family) =>
+      family
+        .trim()
+        .replace(/^["']|["']$/g, "")
+        .toLowerCase()
+    )
+    .join(", ");
+}
+
+function luminance({ r, g, b }) {
+  const [red, green, blue] = [r, g, b].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+/**
+ * WCAG 2.x contrast ratio between two colors, rounded to two decimals
+ */
+export function contrastRatio(foreground, background) {
+  const [lighter, darker] = [
+    luminance(parseColor(foreground)),
+    luminance(parseColor(background)),
+  ].sort((a, b) => b - a);
+  return Math.round(((lighter + 0.05) / (darker + 0.05)) * 100) / 100;
+}
+
+/**
+ * Whether every length in a padding/margin value sits on the spacing scale
+ */
+export function onSpacingScale(value, scale) {
+  return String(value)
+    .split(/\s+/)
+    .every((part) => scale.includes(parseFloat(part)));
+}
+
+/**
+ * Computed styles of the first element matched by `locator`, plus the
+ * effective background color (the first opaque background up the tree)
+ */
+export async function readStyles(locator) {
+  return locator.first().evaluate((el) => {
+    const styles = window.getComputedStyle(el);
+    let background = "rgb(255, 255, 255)";
+    for (let node = el; node; node = node.parentElement) {
+      const color = window.getComputedStyle(node).backgroundColor;
+      if (color !== "transparent" && !/rgba\(.*,\s*0\)$/.test(color)) {
+        background = color;
+        break;
+      }
+    }
+    const fontSize = parseFloat(styles.fontSize);
+    return {
+      tagName: el.tagName,
+      color: styles.color,
+      backgroundColor: styles.backgroundColor,
+      effectiveBackground: background,
+      fontFamily: styles.fontFamily,
+      fontSize: styles.fontSize,
+      fontWeight: styles.fontWeight,
+      borderRadius: styles.borderRadius,
+      padding: styles.padding,
+      // WCAG "large text": 24px, or 18.66px when bold
+      largeText:
+        fontSize >= 24 ||
+        (fontSize >= 18.66 && Number(styles.fontWeight) >= 700),
+    };
+  });
+}
+
+/**
+ * Check text/background pairs against the token contrast minimums
+ * `pairs` are { name, styles } with styles from readStyles(). Returns one
+ * entry per pair that falls short, with the measured and required ratio
+ */
+export function contrastFailures(pairs, tokens) {
+  return pairs
+    .map(({ name, styles }) => {
+      const required = styles.largeText
+        ? tokens.contrast.largeText
+        : tokens.contrast.normalText;
+      return {
+        name,
+        color: normalizeColor(styles.color),
+        background: normalizeColor(styles.effectiveBackground),
+        ratio: contrastRatio(styles.color, styles.effectiveBackground),
+        required,
+      };
+    })
+    .filter((result) => result.ratio < result.required);
+}
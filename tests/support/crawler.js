@@ -0,0 +1,171 @@
+import { markdownCell } from "../../reporters/output.js";
+
+/**
+ * Same-origin site crawler
+ * Walks every link reachable from a start page in the current (logged-in)
+ * browser context and records what each page returned
+ */
+
+// Links whose path or text suggests an action with side effects
+const SKIP_PATTERN =
+  /log-?out|sign-?out|delete|remove|destroy|deactivate|reset|revoke|archive/i;
+
+// Titles or headings that mean the server rendered an error page
+const ERROR_PAGE_PATTERN =
+  /\b404\b|not found|\b500\b|internal server error|something went wrong|an error occurred|access denied|forbidden/i;
+
+/**
+ * Canonical form of a URL for de-duplication: no hash, no trailing slash
+ */
+export function normalizeUrl(href) {
+  const url = new URL(href);
+  url.hash = "";
+  if (url.pathname.length > 1 && url.pathname.endsWith("/")) {
+    url.pathname = url.pathname.slice(0, -1);
+  }
+  return url.toString();
+}
+
+/**
+ * Whether a link should not be followed
+ */
+export function isSkippedLink({ href, text, method }) {
+  if (method && method.toLowerCase() !== "get") {
+    return true;
+  }
+  return SKIP_PATTERN.test(new URL(href).pathname) || SKIP_PATTERN.test(text);
+}
+
+/**
+ * Crawl from `startPath` breadth-first
+ * Returns one entry per visited URL:
+ * { url, status, title, loadTime, errorText, redirectedTo, linkedFrom, broken }
+ */
+export async function crawlSite(
+  page,
+  { startPath, maxPages = 100, loginPath } = {}
+) {
+  await page.goto(startPath);
+  const origin = new URL(page.url()).origin;
+  const start = normalizeUrl(page.url());
+
+  const queue = [{ url: start, linkedFrom: null }];
+  const queued = new Set([start]);
+  const skipped = [];
+  const results = [];
+
+  while (queue.length > 0 && results.length < maxPages) {
+    const { url, linkedFrom } = queue.shift();
+    const startedAt = Date.now();
+    let response = null;
+    let navigationError = null;
+
+    try {
+      response = await page.goto(url, { waitUntil: "load" });
+    } catch (error) {
+      navigationError = error.message.split("\n")[0];
+    }
+
+    const loadTime = await page
+      .evaluate(() => {
+        const [entry] = performance.getEntriesByType("navigation");
+        return entry ? Math.round(entry.duration) : null;
+      })
+      .catch(() => null);
+
+    const finalUrl = normalizeUrl(page.url());
+    const title = await page.title().catch(() => "");
+    const headings = await page
+      .locator("h1, h2")
+      .allTextContents()
+      .catch(() => []);
+    const errorText =
+      [title, ...headings].find((text) => ERROR_PAGE_PATTERN.test(text)) ??
+      null;
+    const status = response ? response.status() : null;
+    const redirectedTo = finalUrl !== url ? finalUrl : null;
+    const sessionLost = Boolean(
+      loginPath && new URL(finalUrl).pathname.startsWith(loginPath)
+    );
+
+    const entry = {
+      url,
+      status,
+      title,
+      loadTime: loadTime ?? Date.now() - startedAt,
+      errorText: navigationError ?? errorText,
+      redirectedTo,
+      linkedFrom,
+      broken:
+        Boolean(navigationError) ||
+        status === null ||
+        status >= 400 ||
+        Boolean(errorText) ||
+        sessionLost,
+    };
+    if (sessionLost) {
+      entry.errorText = "Redirected to the login page (session lost)";
+    }
+    results.push(entry);
+
+    if (entry.broken) {
+      continue;
+    }
+
+    const links = await page.locator("a[href]").evaluateAll((anchors) =>
+      anchors.map((anchor) => ({
+        href: anchor.href,
+        text: anchor.textContent.trim(),
+        method: anchor.getAttribute("data-method"),
+      }))
+    );
+
+    for (const link of links) {
+      if (!/^https?:/.test(link.href)) {
+        continue;
+      }
+      const target = normalizeUrl(link.href);
+      if (new URL(target).origin !== origin || queued.has(target)) {
+        continue;
+      }
+      queued.add(target);
+      if (isSkippedLink(link)) {
+        skipped.push({ url: target, text: link.text, linkedFrom: url });
+        continue;
+      }
+      queue.push({ url: target, linkedFrom: url });
+    }
+  }
+
+  return { pages: results, skipped, truncated: queue.length > 0 };
+}
+
+/**
+ * Markdown sitemap of a crawl
+ */
+export function sitemapMarkdown({ pages, skipped, truncated }) {
+  const cell = (value) => markdownCell(value ?? "-");
+  const lines = [
+    "| URL | Status | Title | Load (ms) | Problem |",
+    "| --- | --- | --- | --- | --- |",
+    ...pages.map((entry) => {
+      const problem = entry.broken
+        ? entry.errorText ?? `HTTP ${entry.status}`
+        : "";
+      return `| ${cell(entry.url)} | ${cell(entry.status)} | ${cell(
+        entry.title || null
+      )} | ${cell(entry.loadTime)} | ${cell(problem)} |`;
+    }),
+  ];
+  if (skipped.length > 0) {
+    lines.push("", "Skipped (logout or destructive):");
+    lines.push(...skipped.map((link) => `- ${link.url} (${link.text})`));
+  }
+  if (truncated) {
+    lines.push(
+      "",
+      "Crawl stopped at the page limit; some URLs were not visited."
+    );
+  }
+  return lines.join("\n");
+}
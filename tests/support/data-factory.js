@@ -0,0 +1,133 @@
+import { expect } from "@playwright/test";
+import { uniqueEmail } from "./test-data.js";
+
+/**
+ * Test data factory
+ * Creates users, classes and enrolments through the profile's test data
+ * endpoints (`testDataPaths`), tags each with the run ID and deletes what
+ * it created when cleanup() runs. The `testData` fixture calls cleanup()
+ * after every test, passed or failed
+ */
+
+export const DEFAULT_PASSWORD = "Password@23";
+
+export class TestDataFactory {
+  /**
+   * @param {import("@playwright/test").APIRequestContext} request
+   * @param {{ users: string, classes: string, enrolments: string, runs: string }} paths
+   * @param {string} runId
+   */
+  constructor(request, paths, runId) {
+    this.request = request;
+    this.paths = paths;
+    this.runId = runId;
+    // What to delete on cleanup, in creation order
+    this.created = [];
+  }
+
+  async create(kind, key, data) {
+    const response = await this.request.post(this.paths[kind], {
+      data: { ...data, runId: this.runId },
+    });
+    expect(
+      response.status(),
+      `creating a test ${key} answered ${await response.text()}`
+    ).toBe(201);
+    const entity = (await response.json())[key];
+    this.created.push({ kind, id: entity.id });
+    return entity;
+  }
+
+  /**
+   * Create a user with a unique email
+   * Returns the API's user plus the password, ready for loginPage.login()
+   */
+  async createUser({
+    role = "user",
+    name,
+    email = uniqueEmail(role),
+    password = DEFAULT_PASSWORD,
+  } = {}) {
+    const user = await this.create("users", "user", {
+      role,
+      name: name ?? `Test ${role} ${this.created.length + 1}`,
+      email,
+      password,
+    });
+    return { ...user, password };
+  }
+
+  /**
+   * Create a class, optionally taught by a user created here
+   */
+  async createClass({ name, teacher } = {}) {
+    return this.create("classes", "class", {
+      name: name ?? `Class ${this.runId} ${this.created.length + 1}`,
+      teacherId: teacher?.id,
+    });
+  }
+
+  /**
+   * Enrol a user in a class
+   */
+  async enrol(user, klass) {
+    return this.create("enrolments", "enrolment", {
+      userId: user.id,
+      classId: klass.id,
+    });
+  }
+
+  /**
+   * Delete everything created here, newest first, so enrolments go before
+   * their class and user. Keeps going past failures and reports them all
+   * at the end. Already deleted entities (404) are fine
+   */
+  async cleanup() {
+    const failures = [];
+    for (const { kind, id } of this.created.reverse()) {
+      const response = await this.request
+        .delete(`${this.paths[kind]}/${encodeURIComponent(id)}`)
+        .catch((error) => ({ status: () => error.message }));
+      const status = response.status();
+      if (!(status === 404 || (status >= 200 && status < 300))) {
+        failures.push(`${kind}/${id}: ${status}`);
+      }
+    }
+    this.created = [];
+    if (failures.length > 0) {
+      throw new Error(
+        `Test data cleanup failed for ${failures.join(", ")}. ` +
+          `Remove the leftovers of run ${this.runId} with DELETE ` +
+          `${this.paths.runs}/${this.runId}`
+      );
+    }
+  }
+}
+
+/**
+ * Everything tagged with a run ID that is still there
+ * @param {import("@playwright/test").APIRequestContext} request
+ */
+export async function runLeftovers(request, paths, runId) {
+  const response = await request.get(
+    `${paths.runs}/${encodeURIComponent(runId)}`
+  );
+  expect(response.ok(), `listing run ${runId}`).toBe(true);
+  return response.json();
+}
+
+/**
+ * Delete everything tagged with a run ID and return the counts
+ * @param {import("@playwright/test").APIRequestContext} request
+ */
+export async function deleteRun(request, paths, runId) {
+  const response = await request.delete(
+    `${paths.runs}/${encodeURIComponent(runId)}`
+  );
+  if (!response.ok()) {
+    throw new Error(
+      `Deleting the test data of run ${runId} answered ${response.status()}`
+    );
+  }
+  return (await response.json()).deleted;
+}
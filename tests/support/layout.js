@@ -0,0 +1,180 @@
+import { expect } from "@playwright/test";
+
+/**
+ * Layout checks for small screens and other text directions
+ * One pass over the rendered page finds horizontal overflow, overlapping
+ * and clipped elements, and tap targets below the minimum size. Every
+ * problem is a short description of the element, so failures read as a
+ * list of what to fix
+ */
+
+/** Smallest tap target in CSS pixels (WCAG 2.2 target size, AA) */
+export const MIN_TAP_TARGET = 24;
+
+/**
+ * Find layout problems on the current page
+ * @param {import("@playwright/test").Page} page
+ * @returns {Promise<{ overflow: string[], overlaps: string[], clipped: string[], smallTapTargets: string[] }>}
+ */
+export async function layoutProblems(
+  page,
+  { minTapTarget = MIN_TAP_TARGET } = {}
+) {
+  return page.evaluate(auditLayout, { minTapTarget });
+}
+
+/**
+ * Soft-assert that the page fits the screen: no horizontal overflow,
+ * overlapping or clipped elements
+ */
+export async function expectFitsScreen(page, where) {
+  const problems = await layoutProblems(page);
+  expect.soft(problems.overflow, `horizontal overflow on ${where}`).toEqual([]);
+  expect
+    .soft(problems.overlaps, `overlapping elements on ${where}`)
+    .toEqual([]);
+  expect.soft(problems.clipped, `clipped elements on ${where}`).toEqual([]);
+}
+
+/**
+ * Runs in the page; keep it self-contained
+ */
+function auditLayout({ minTapTarget }) {
+  const LIMIT = 10;
+  const CONTROLS =
+    'a[href], button, input:not([type="hidden"]), select, textarea, ' +
+    '[role="button"], [role="link"], [role="checkbox"], [role="tab"]';
+  const CONTENT = `${CONTROLS}, label, img, svg, h1, h2, h3, h4, h5, h6`;
+  const viewportWidth = document.documentElement.clientWidth;
+
+  function describe(element) {
+    let text = element.tagName.toLowerCase();
+    const testId = element.getAttribute("data-testid");
+    if (testId) {
+      text += `[data-testid="${testId}"]`;
+    } else if (element.id) {
+      text += `#${element.id}`;
+    } else if (element.classList.length > 0) {
+      text += `.${[...element.classList].join(".")}`;
+    }
+    const label = (
+      element.innerText ||
+      element.getAttribute("aria-label") ||
+      element.getAttribute("alt") ||
+      ""
+    )
+      .trim()
+      .replace(/\s+/g, " ")
+      .slice(0, 30);
+    return label ? `${text} "${label}"` : text;
+  }
+
+  function isShown(element) {
+    const rect = element.getBoundingClientRect();
+    const style = getComputedStyle(element);
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      style.visibility !== "hidden" &&
+      Number(style.opacity) > 0
+    );
+  }
+
+  const all = [...document.body.querySelectorAll("*")].filter(isShown);
+  const round = (value) => Math.round(value);
+
+  // Elements reaching past the viewport edge; only the outermost of a
+  // subtree is listed, since its children move with it
+  const outside = new Set(
+    all.filter((element) => {
+      const rect = element.getBoundingClientRect();
+      return rect.right > viewportWidth + 1 || rect.left < -1;
+    })
+  );
+  const overflow = [...outside]
+    .filter((element) => !outside.has(element.parentElement))
+    .map((element) => {
+      const rect = element.getBoundingClientRect();
+      return `${describe(element)} spans x ${round(rect.left)}-${round(
+        rect.right
+      )} of ${viewportWidth}`;
+    });
+  if (
+    overflow.length === 0 &&
+    document.documentElement.scrollWidth > viewportWidth + 1
+  ) {
+    overflow.push(
+      `page is ${document.documentElement.scrollWidth}px wide in a ` +
+        `${viewportWidth}px viewport`
+    );
+  }
+
+  // Content boxes drawn over each other; nesting is not an overlap
+  const content = all.filter((element) => element.matches(CONTENT));
+  const overlaps = [];
+  for (const [index, first] of content.entries()) {
+    const a = first.getBoundingClientRect();
+    for (const second of content.slice(index + 1)) {
+      if (first.contains(second) || second.contains(first)) {
+        continue;
+      }
+      const b = second.getBoundingClientRect();
+      const width = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+      const height = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+      if (width > 1 && height > 1) {
+        overlaps.push(`${describe(first)} overlaps ${describe(second)}`);
+      }
+    }
+  }
+
+  // Content cut off by its own box: hidden overflow or an ellipsis. Form
+  // fields scroll their value by design
+  const clipped = all
+    .filter((element) => !element.matches("input, select, textarea"))
+    .filter((element) => {
+      const style = getComputedStyle(element);
+      const cutsX = /hidden|clip/.test(style.overflowX);
+      const cutsY = /hidden|clip/.test(style.overflowY);
+      return (
+        ((cutsX || style.textOverflow === "ellipsis") &&
+          element.scrollWidth > element.clientWidth + 1) ||
+        (cutsY && element.scrollHeight > element.clientHeight + 1)
+      );
+    })
+    .map(describe);
+
+  // Controls smaller than the minimum. A control's label counts as part of
+  // it, and links inside a sentence are exempt, as in WCAG
+  const smallTapTargets = all
+    .filter((element) => element.matches(CONTROLS))
+    .filter((element) => {
+      const boxes = [element, ...(element.labels ?? [])].map((item) =>
+        item.getBoundingClientRect()
+      );
+      if (
+        boxes.some(
+          (box) => box.width >= minTapTarget && box.height >= minTapTarget
+        )
+      ) {
+        return false;
+      }
+      const inSentence =
+        element.tagName === "A" &&
+        getComputedStyle(element).display === "inline" &&
+        element.parentElement.innerText.trim() !== element.innerText.trim();
+      return !inSentence;
+    })
+    .map((element) => {
+      const rect = element.getBoundingClientRect();
+      return `${describe(element)} is ${round(rect.width)}x${round(
+        rect.height
+      )}`;
+    });
+
+  return {
+    overflow: overflow.slice(0, LIMIT),
+    overlaps: overlaps.slice(0, LIMIT),
+    clipped: clipped.slice(0, LIMIT),
+    smallTapTargets: smallTapTargets.slice(0, LIMIT),
+  };
+}
@@ -0,0 +1,84 @@
+import { expect } from "@playwright/test";
+
+/**
+ * Mail catcher client
+ * Reads the emails the app sent from a MailHog-compatible API (the mock
+ * server serves one under /__mail), so tests can follow links from them
+ */
+export class Mailbox {
+  /**
+   * @param {import("@playwright/test").APIRequestContext} request
+   * @param {string} baseURL mail catcher API root, e.g. http://localhost:8025
+   */
+  constructor(request, baseURL) {
+    this.request = request;
+    this.baseURL = baseURL;
+  }
+
+  /**
+   * Messages sent to the address, newest first
+   * @returns {Promise<Array<{ id: string, to: string[], subject: string, body: string, created: string }>>}
+   */
+  async messagesTo(address) {
+    const response = await this.request.get(`${this.baseURL}/api/v2/search`, {
+      params: { kind: "to", query: address },
+    });
+    expect(response.ok(), `mail catcher answered ${response.status()}`).toBe(
+      true
+    );
+    const { items = [] } = await response.json();
+    return items.map(toMessage);
+  }
+
+  /**
+   * Wait for a message to the address whose subject matches, and return it
+   */
+  async waitForMessage(address, { subject = /./, timeout = 10000 } = {}) {
+    let found;
+    await expect
+      .poll(
+        async () => {
+          const messages = await this.messagesTo(address);
+          found = messages.find((message) => subject.test(message.subject));
+          return Boolean(found);
+        },
+        { message: `no email to ${address} matching ${subject}`, timeout }
+      )
+      .toBe(true);
+    return found;
+  }
+}
+
+/**
+ * Decode a quoted-printable body, as real mail servers often send them
+ */
+function decodeQuotedPrintable(text) {
+  return text
+    .replace(/=\r?\n/g, "")
+    .replace(/=([0-9A-F]{2})/gi, (match, hex) =>
+      String.fromCharCode(parseInt(hex, 16))
+    );
+}
+
+function toMessage(item) {
+  const headers = item.Content?.Headers ?? {};
+  const encoding = headers["Content-Transfer-Encoding"]?.[0] ?? "";
+  const body = item.Content?.Body ?? "";
+  return {
+    id: item.ID,
+    to: headers.To ?? [],
+    subject: headers.Subject?.[0] ?? "",
+    body: /quoted-printable/i.test(encoding)
+      ? decodeQuotedPrintable(body)
+      : body,
+    created: item.Created,
+  };
+}
+
+/**
+ * The links in a message body, optionally only those matching a pattern
+ */
+export function messageLinks(message, pattern = /./) {
+  const links = message.body.match(/https?:\/\/[^\s"'<>]+/g) ?? [];
+  return links.filter((link) => pattern.test(link));
+}
@@ -0,0 +1,99 @@
+import { isLoginApiRequest } from "./waits.js";
+
+/**
+ * Network fault injection for the login API
+ * Built on page.route so it works against the mock server and the real app
+ * alike. Only the login request is intercepted; pages and assets load normally
+ */
+export class LoginFaults {
+  /**
+   * @param {import("@playwright/test").Page} page
+   * @param {{ loginApiPath?: string }} [options]
+   */
+  constructor(page, { loginApiPath } = {}) {
+    this.page = page;
+    this.loginApiPath = loginApiPath;
+    this.handler = null;
+  }
+
+  /**
+   * Route the login request through `fault`; any other request continues
+   * Replaces a previously installed fault
+   */
+  async inject(fault) {
+    await this.clear();
+    this.handler = async (route) => {
+      if (!isLoginApiRequest(route.request(), this.loginApiPath)) {
+        return route.fallback();
+      }
+      await fault(route);
+    };
+    await this.page.route("**/*", this.handler);
+  }
+
+  /**
+   * Answer the login request with an HTTP error status
+   */
+  async status(status, { body = "", contentType = "text/html", headers } = {}) {
+    await this.inject((route) =>
+      route.fulfill({ status, body, contentType, headers })
+    );
+  }
+
+  /**
+   * 500/502/503 with the kind of HTML body a gateway usually sends
+   */
+  async serverError(status = 500) {
+    await this.status(status, {
+      body: `<html><body><h1>${status} Server Error</h1></body></html>`,
+    });
+  }
+
+  /**
+   * 429 Too Many Requests with a Retry-After header
+   */
+  async rateLimited(retryAfterSeconds = 30) {
+    await this.status(429, {
+      contentType: "application/json",
+      body: JSON.stringify({ message: "Too many login attempts" }),
+      headers: { "Retry-After": String(retryAfterSeconds) },
+    });
+  }
+
+  /**
+   * Hold the request without answering, then fail it as a network timeout
+   */
+  async hang(timeout = 5000) {
+    await this.inject(async (route) => {
+      await new Promise((resolve) => setTimeout(resolve, timeout));
+      await route.abort("timedout").catch(() => {});
+    });
+  }
+
+  /**
+   * Drop the connection (no HTTP response at all)
+   */
+  async dropConnection(errorCode = "connectionreset") {
+    await this.inject((route) => route.abort(errorCode));
+  }
+
+  /**
+   * 200 OK with a body that is not valid JSON
+   */
+  async malformedJson() {
+    await this.status(200, {
+      contentType: "application/json",
+      body: '{"user": {"id": 1, "email": ',
+    });
+  }
+
+  /**
+   * Remove the installed fault
+   */
+  async clear() {
+    if (this.handler) {
+      await this.page.unroute("**/*", this.handler);
+      this.handler = null;
+    }
+  }
+}
@@ -0,0 +1,186 @@
+import { env } from "../../config/env.js";
+
+/**
+ * requestfailed texts for a request the page cancelled: Chromium's
+ * net::ERR_ABORTED, Firefox's NS_BINDING_ABORTED and WebKit's "cancelled" /
+ * "Load request cancelled"
+ */
+const CANCELLED_REQUEST =
+  /ERR_ABORTED|^NS_BINDING_ABORTED$|^cancelled$|^Load request cancelled$/i;
+
+/**
+ * Page guard
+ * Collects uncaught page errors, console errors and failed sub-requests
+ * (4xx/5xx responses and network failures) while a test runs, so a page that
+ * renders but throws or fails a fetch in the background does not pass silently
+ */
+export class PageGuard {
+  /**
+   * @param {Array<string | RegExp | ((entry: object) => boolean)>} ignore
+   */
+  constructor(ignore = []) {
+    this.ignorePatterns = [...ignore];
+    this.entries = [];
+  }
+
+  /**
+   * Ignore matching entries for the rest of the test
+   */
+  ignore(...patterns) {
+    this.ignorePatterns.push(...patterns);
+  }
+
+  isIgnored(entry) {
+    return this.ignorePatterns.some((pattern) => {
+      if (typeof pattern === "function") {
+        return pattern(entry);
+      }
+      return [entry.message, entry.url].some((text) =>
+        pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern)
+      );
+    });
+  }
+
+  record(type, message, url = "") {
+    this.entries.push({ type, message, url });
+  }
+
+  /**
+   * Start listening on a page
+   * @param {import("@playwright/test").Page} page
+   */
+  attach(page) {
+    page.on("pageerror", (error) => {
+      this.record("pageerror", error.stack || error.message, page.url());
+    });
+
+    page.on("console", (message) => {
+      if (message.type() === "error") {
+        this.record("console", message.text(), message.location().url);
+      }
+    });
+
+    // The main document is left to the test: crawlers and redirect checks
+    // look at its status themselves
+    page.on("response", (response) => {
+      const request = response.request();
+      if (response.status() >= 400 && request.resourceType() !== "document") {
+        this.record(
+          "response",
+          `${response.status()} ${request.method()} ${response.url()}`,
+          response.url()
+        );
+      }
+    });
+
+    page.on("requestfailed", (request) => {
+      const failure = request.failure()?.errorText ?? "failed";
+      // Cancelled by a navigation, not a real failure
+      if (CANCELLED_REQUEST.test(failure)) {
+        return;
+      }
+      this.record(
+        "requestfailed",
+        `${failure} ${request.method()} ${request.url()}`,
+        request.url()
+      );
+    });
+  }
+
+  /**
+   * Entries that are not ignored
+   */
+  failures() {
+    return this.entries.filter((entry) => !this.isIgnored(entry));
+  }
+
+  /**
+   * Attach the log to the report and throw when unignored entries were seen
+   * Only throws for tests that otherwise passed, so the original failure
+   * stays the headline
+   */
+  async check(testInfo) {
+    if (this.entries.length === 0) {
+      return;
+    }
+
+    const log = this.entries.map((entry) => ({
+      ...entry,
+      ignored: this.isIgnored(entry),
+    }));
+    await testInfo.attach("page-guard.json", {
+      body: JSON.stringify(log, null, 2),
+      contentType: "application/json",
+    });
+
+    const failures = this.failures();
+    if (failures.length > 0 && testInfo.status === testInfo.expectedStatus) {
+      throw new Error(
+        `Page guard caught ${failures.length} error(s) during the test:\n` +
+          failures
+            .map((entry) => `  [${entry.type}] ${entry.message}`)
+            .join("\n") +
+          "\nIgnore expected ones with test.use({ pageGuardIgnore: [...] }), " +
+          "pageGuard.ignore(...) or config/page-guard.js"
+      );
+    }
+  }
+}
+
+/**
+ * Ignore rule for 4xx answers to requests whose path matches `pathPattern`
+ */
+function rejectionsOn(pathPattern) {
+  return (entry) => {
+    let pathname = "";
+    try {
+      pathname = new URL(entry.url).pathname;
+    } catch {
+      return false;
+    }
+    return pathPattern.test(pathname) && /\b4\d\d\b/.test(entry.message);
+  };
+}
+
+/**
+ * Ignore rule for the 4xx answers and console noise of a rejected login,
+ * for tests that submit bad credentials on purpose
+ */
+export const loginRejection = rejectionsOn(/login/i);
+
+/**
+ * Ignore rule for the 4xx answers of a refused password reset (weak
+ * password, used link), for tests that trigger them on purpose
+ */
+export const passwordResetRejection = rejectionsOn(/reset|forgot/i);
+
+/**
+ * Ignore rule for the 4xx answers of a refused sign-up (invalid field,
+ * duplicate email), for tests that trigger them on purpose
+ */
+export const registrationRejection = rejectionsOn(/register|sign-?up/i);
+
+/**
+ * Ignore rule for the failed login API call itself (its response, network
+ * failure and the browser's "Failed to load resource" console line), for
+ * fault injection tests that break it on purpose. Page errors and the
+ * page's own console errors still count: the page has to cope with it
+ */
+export function loginApiNoise(entry) {
+  const isCallFailure =
+    ["response", "requestfailed"].includes(entry.type) ||
+    (entry.type === "console" &&
+      /^Failed to load resource\b/.test(entry.message));
+  if (!isCallFailure) {
+    return false;
+  }
+  let pathname = "";
+  try {
+    pathname = new URL(entry.url).pathname;
+  } catch {
+    return false;
+  }
+  return env.loginApiPath
+    ? pathname === env.loginApiPath
+    : /login/i.test(pathname);
+}
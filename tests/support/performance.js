@@ -0,0 +1,222 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Page performance capture
+ * Records navigation timing and Web Vitals for every page a test loads and
+ * checks them against the budgets in config/performance-budgets.json
+ *
+ * Metrics, all in milliseconds except CLS:
+ * - ttfb, domContentLoaded, load: navigation timing, from navigation start
+ * - fcp, lcp: first and largest contentful paint
+ * - cls: layout shifts without recent input, summed over the page's life
+ * - tbt: the part of every long task over 50ms, summed over the page's life
+ *
+ * CLS and TBT are simpler than the field definitions (no session windows,
+ * no FCP-to-TTI range), so they are upper bounds of the real values.
+ * Metrics the browser can't measure (LCP, CLS and TBT outside Chromium) are
+ * null and never fail a budget
+ */
+
+const BUDGETS_FILE = path.resolve(
+  __dirname,
+  "../../config/performance-budgets.json"
+);
+
+export const METRICS = [
+  "ttfb",
+  "domContentLoaded",
+  "load",
+  "fcp",
+  "lcp",
+  "cls",
+  "tbt",
+];
+
+/**
+ * Read the budget file
+ */
+export function loadBudgets(file = BUDGETS_FILE) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * The budget for a page: the defaults with the page's own values on top
+ */
+export function pageBudget(budgets, pathname) {
+  return { ...budgets.default, ...budgets.pages?.[pathname] };
+}
+
+/**
+ * The metrics over budget, empty when none
+ * @returns {Array<{ metric: string, value: number, budget: number }>}
+ */
+export function budgetViolations(metrics, budget) {
+  return Object.entries(budget)
+    .filter(([metric, limit]) => metrics[metric] != null && limit != null)
+    .filter(([metric, limit]) => metrics[metric] > limit)
+    .map(([metric, limit]) => ({
+      metric,
+      value: metrics[metric],
+      budget: limit,
+    }));
+}
+
+/**
+ * Runs in every document before its own scripts: observes the entry types
+ * that are only reported while someone listens
+ */
+function observeVitals() {
+  const vitals = { lcp: null, cls: null, tbt: null };
+  window.__edutraceVitals = vitals;
+
+  const observe = (type, key, onEntry) => {
+    if (!PerformanceObserver.supportedEntryTypes?.includes(type)) {
+      return;
+    }
+    vitals[key] = key === "lcp" ? null : 0;
+    new PerformanceObserver((list) => {
+      list.getEntries().forEach(onEntry);
+    }).observe({ type, buffered: true });
+  };
+
+  observe("largest-contentful-paint", "lcp", (entry) => {
+    vitals.lcp = entry.startTime;
+  });
+  observe("layout-shift", "cls", (entry) => {
+    if (!entry.hadRecentInput) {
+      vitals.cls += entry.value;
+    }
+  });
+  observe("longtask", "tbt", (entry) => {
+    vitals.tbt += Math.max(0, entry.duration - 50);
+  });
+}
+
+/**
+ * Read the current document's metrics, after letting a frame render so
+ * the paint entries are in
+ */
+function collectMetrics() {
+  return new Promise((resolve) => {
+    requestAnimationFrame(() =>
+      setTimeout(() => {
+        const [nav] = performance.getEntriesByType("navigation");
+        const fcp = performance.getEntriesByName("first-contentful-paint")[0];
+        const vitals = window.__edutraceVitals ?? {};
+        const round = (value) =>
+          value == null ? null : Math.round(value * 1000) / 1000;
+        resolve({
+          url: location.href,
+          timeOrigin: performance.timeOrigin,
+          metrics: {
+            ttfb: round(nav?.responseStart),
+            domContentLoaded: round(nav?.domContentLoadedEventEnd || null),
+            load: round(nav?.loadEventEnd || null),
+            fcp: round(fcp?.startTime),
+            lcp: round(vitals.lcp),
+            cls: round(vitals.cls),
+            tbt: round(vitals.tbt),
+          },
+        });
+      }, 0)
+    );
+  });
+}
+
+/**
+ * Collects the metrics of every page loaded in one Playwright page, plus
+ * timed user flows, and checks them against the budgets
+ */
+export class PerformanceMonitor {
+  /**
+   * @param {import("@playwright/test").Page} page
+   * @param {object} budgets contents of config/performance-budgets.json
+   */
+  constructor(page, budgets = loadBudgets()) {
+    this.page = page;
+    this.budgets = budgets;
+    // timeOrigin -> latest capture of that document
+    this.pages = new Map();
+    this.flows = [];
+    this.pending = new Set();
+  }
+
+  /**
+   * Start observing: every page load is captured once it has fired `load`
+   */
+  async start() {
+    await this.page.addInitScript(observeVitals);
+    this.page.on("load", () => {
+      const capture = this.capture().catch(() => null);
+      this.pending.add(capture);
+      capture.finally(() => this.pending.delete(capture));
+    });
+  }
+
+  /**
+   * Capture the current document now, replacing an earlier capture of it
+   * Call it once the page is ready to include what happened after `load`
+   */
+  async capture() {
+    const result = await this.page.evaluate(collectMetrics);
+    const pathname = new URL(result.url).pathname;
+    const entry = {
+      path: pathname,
+      url: result.url,
+      metrics: result.metrics,
+      budget: pageBudget(this.budgets, pathname),
+    };
+    entry.violations = budgetViolations(entry.metrics, entry.budget);
+    this.pages.set(result.timeOrigin, entry);
+    return entry;
+  }
+
+  /**
+   * Time a user flow, e.g. from clicking login to the dashboard showing
+   * Its budget is the matching entry in the budget file's `flows`
+   */
+  async measure(name, action) {
+    const start = Date.now();
+    await action();
+    const duration = Date.now() - start;
+    const budget = this.budgets.flows?.[name] ?? null;
+    const entry = {
+      name,
+      duration,
+      budget,
+      violations: budgetViolations({ duration }, { duration: budget }),
+    };
+    this.flows.push(entry);
+    return entry;
+  }
+
+  /**
+   * Wait for the captures still running
+   */
+  async settle() {
+    await Promise.all(this.pending);
+  }
+
+  /**
+   * Everything recorded so far
+   */
+  results() {
+    return { pages: [...this.pages.values()], flows: this.flows };
+  }
+
+  /**
+   * Attach the results for the performance reporter
+   */
+  async report(testInfo) {
+    await this.settle();
+    const results = this.results();
+    if (results.pages.length === 0 && results.flows.length === 0) {
+      return;
+    }
+    await testInfo.attach("performance.json", {
+      body: JSON.stringify(results, null, 2),
+      contentType: "application/json",
+    });
+  }
+}
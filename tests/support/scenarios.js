@@ -0,0 +1,181 @@
+import fs from "fs";
+import path from "path";
+import Ajv from "ajv";
+import YAML from "yaml";
+
+/**
+ * Loader for data-driven scenario files
+ * Reads every .json, .csv, .yaml and .yml file in a directory, validates each
+ * row against a JSON schema and fills in {{role.field}} placeholders in its
+ * text fields, so QA can add cases without touching spec code
+ *
+ * CSV cells are text, so their values are converted to the schema's types
+ * ("401" to 401, "true" to true) as they are validated. JSON and YAML rows
+ * must have the right types already
+ */
+
+const PARSERS = {
+  ".json": (text) => JSON.parse(text),
+  ".yaml": (text) => YAML.parse(text),
+  ".yml": (text) => YAML.parse(text),
+  ".csv": (text) => parseCsv(text),
+};
+
+/**
+ * Parse CSV with a header row into objects
+ * Supports quoted fields with embedded commas, quotes ("") and newlines
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter((r) => r.some((cell) => cell));
+  if (!header) {
+    return [];
+  }
+  return records.map((record) =>
+    Object.fromEntries(
+      header.map((name, index) => [name.trim(), record[index] ?? ""])
+    )
+  );
+}
+
+/**
+ * Replace {{role.field}} placeholders with values from `credentials`
+ * Placeholders of the roles in `keep` are left for fillScenario()
+ */
+function fillPlaceholders(value, credentials, where, keep = []) {
+  if (typeof value !== "string") {
+    return value;
+  }
+  return value.replace(/\{\{\s*(\w+)\.(\w+)\s*\}\}/g, (match, role, field) => {
+    if (keep.includes(role)) {
+      return match;
+    }
+    const resolved = credentials[role]?.[field];
+    if (resolved === undefined) {
+      throw new Error(`${where}: unknown placeholder ${match}`);
+    }
+    return resolved;
+  });
+}
+
+/**
+ * Load and validate every scenario file in `dir`
+ * Throws with the file and row when a row breaks the schema or an id repeats
+ *
+ * Placeholders are filled from `credentials`, except those of the roles in
+ * `keep`, which wait for fillScenario() with an account made by the test
+ */
+export function loadScenarios(dir, { schema, credentials = {}, keep = [] }) {
+  const schemaJson = JSON.parse(fs.readFileSync(schema, "utf8"));
+  const required = new Set(schemaJson.required ?? []);
+  const validate = new Ajv({ allErrors: true }).compile(schemaJson);
+  // Only CSV rows are converted; JSON and YAML already have real types
+  const validateCsv = new Ajv({ allErrors: true, coerceTypes: true }).compile(
+    schemaJson
+  );
+  const scenarios = [];
+  const seen = new Map();
+
+  const files = fs
+    .readdirSync(dir)
+    .filter((name) => PARSERS[path.extname(name).toLowerCase()])
+    .sort();
+
+  for (const name of files) {
+    const ext = path.extname(name).toLowerCase();
+    const rows =
+      PARSERS[ext](fs.readFileSync(path.join(dir, name), "utf8")) ?? [];
+    if (!Array.isArray(rows)) {
+      throw new Error(`${name}: expected a list of scenarios`);
+    }
+
+    rows.forEach((parsed, index) => {
+      // A CSV has every column on every row; empty optional cells mean absent
+      const row =
+        ext === ".csv"
+          ? Object.fromEntries(
+              Object.entries(parsed).filter(
+                ([key, value]) => value !== "" || required.has(key)
+              )
+            )
+          : parsed;
+      const where = `${name} row ${index + 1}`;
+      const check = ext === ".csv" ? validateCsv : validate;
+      if (!check(row)) {
+        const problems = check.errors
+          .map((error) => `${error.instancePath || "row"} ${error.message}`)
+          .join("; ");
+        throw new Error(`${where} is not a valid scenario: ${problems}`);
+      }
+      if (seen.has(row.id)) {
+        throw new Error(
+          `${where}: duplicate id ${row.id} (also in ${seen.get(row.id)})`
+        );
+      }
+      seen.set(row.id, where);
+
+      scenarios.push({
+        ...Object.fromEntries(
+          Object.entries(row).map(([key, value]) => [
+            key,
+            fillPlaceholders(value, credentials, where, keep),
+          ])
+        ),
+        source: name,
+      });
+    });
+  }
+
+  return scenarios;
+}
+
+/**
+ * Fill the placeholders loadScenarios() kept, e.g. with the test's own user
+ * @param {Record<string, { email: string, password: string }>} credentials
+ */
+export function fillScenario(scenario, credentials) {
+  const where = `${scenario.source} ${scenario.id}`;
+  return Object.fromEntries(
+    Object.entries(scenario).map(([key, value]) => [
+      key,
+      fillPlaceholders(value, credentials, where),
+    ])
+  );
+}
@@ -0,0 +1,204 @@
+/**
+ * Selector registry
+ * Each logical element lists its locator strategies best first, e.g.
+ *
+ *   submitButton: [
+ *     { testId: "login-submit" },
+ *     { role: "button", name: /^login$/i },
+ *     { css: 'button[type="submit"]' },
+ *   ]
+ *
+ * Page objects use the union of all strategies, so a test keeps working
+ * while any of them matches. Probing records which strategy actually
+ * resolved, so the health report shows when an element is only found
+ * through a lower-ranked fallback (e.g. the app dropped its data-testid)
+ */
+
+/** Strategy kinds, best first */
+export const STRATEGY_KINDS = ["testId", "role", "label", "text", "css"];
+
+/**
+ * Which kind of strategy this is
+ */
+export function strategyKind(strategy) {
+  return STRATEGY_KINDS.find((kind) => kind in strategy);
+}
+
+/**
+ * Human readable form of a strategy for logs and reports
+ */
+export function describeStrategy(strategy) {
+  const kind = strategyKind(strategy);
+  let text = `${kind}=${strategy[kind]}`;
+  if (strategy.name) {
+    text += `[name=${strategy.name}]`;
+  }
+  if (strategy.hasText) {
+    text += `[hasText=${strategy.hasText}]`;
+  }
+  if (strategy.locator) {
+    text += ` >> ${strategy.locator}`;
+  }
+  return text;
+}
+
+/**
+ * Build the locator for a single strategy
+ * @param {import("@playwright/test").Page} page
+ */
+export function strategyLocator(page, strategy) {
+  let locator;
+  switch (strategyKind(strategy)) {
+    case "testId":
+      locator = page.getByTestId(strategy.testId);
+      break;
+    case "role":
+      locator = page.getByRole(strategy.role, {
+        name: strategy.name,
+        exact: strategy.exact,
+        includeHidden: strategy.includeHidden,
+      });
+      break;
+    case "label":
+      locator = page.getByLabel(strategy.label, { exact: strategy.exact });
+      break;
+    case "text":
+      locator = page.getByText(strategy.text, { exact: strategy.exact });
+      break;
+    case "css":
+      locator = page.locator(strategy.css);
+      break;
+    default:
+      throw new Error(`Unknown selector strategy: ${JSON.stringify(strategy)}`);
+  }
+  if (strategy.locator) {
+    locator = locator.locator(strategy.locator);
+  }
+  if (strategy.hasText) {
+    locator = locator.filter({ hasText: strategy.hasText });
+  }
+  return locator;
+}
+
+/**
+ * Collects probe results for one test
+ * The fixture attaches them to the report and turns fallbacks into warnings
+ */
+export class SelectorHealth {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Keep the latest result per page and element
+   */
+  record(result) {
+    this.records.set(`${result.page}/${result.element}`, result);
+  }
+
+  results() {
+    return [...this.records.values()];
+  }
+
+  /**
+   * Elements that only resolved through a lower-ranked strategy
+   */
+  fallbacks() {
+    return this.results().filter((result) => result.rank > 0);
+  }
+
+  /**
+   * Attach the results and add a warning annotation per fallback
+   */
+  async report(testInfo) {
+    const results = this.results();
+    if (results.length === 0) {
+      return;
+    }
+
+    for (const result of this.fallbacks()) {
+      testInfo.annotations.push({
+        type: "warning",
+        description:
+          `Selector fallback: ${result.page}.${result.element} resolved ` +
+          `via ${result.strategy} (rank ${result.rank + 1} of ${result.of})`,
+      });
+    }
+
+    await testInfo.attach("selector-health.json", {
+      body: JSON.stringify(results, null, 2),
+      contentType: "application/json",
+    });
+  }
+}
+
+/**
+ * The ranked selectors of one page, bound to a Playwright page
+ */
+export class SelectorRegistry {
+  /**
+   * @param {import("@playwright/test").Page} page
+   * @param {string} pageName name used in the health report
+   * @param {Record<string, Array<object>>} definitions
+   * @param {SelectorHealth} [health]
+   */
+  constructor(page, pageName, definitions, health) {
+    this.page = page;
+    this.pageName = pageName;
+    this.definitions = definitions;
+    this.health = health;
+  }
+
+  strategies(element) {
+    const strategies = this.definitions[element];
+    if (!strategies) {
+      throw new Error(
+        `No selectors registered for ${this.pageName}.${element}`
+      );
+    }
+    return strategies;
+  }
+
+  /**
+   * Locator matching any of the element's strategies
+   */
+  locator(element) {
+    return this.strategies(element)
+      .map((strategy) => strategyLocator(this.page, strategy))
+      .reduce((union, locator) => union.or(locator));
+  }
+
+  /**
+   * Locator of the best-ranked strategy that currently matches, or null
+   * Records the outcome when the element was found
+   */
+  async resolve(element) {
+    const strategies = this.strategies(element);
+    for (const [rank, strategy] of strategies.entries()) {
+      const locator = strategyLocator(this.page, strategy);
+      if ((await locator.count()) > 0) {
+        this.health?.record({
+          page: this.pageName,
+          element,
+          strategy: describeStrategy(strategy),
+          kind: strategyKind(strategy),
+          rank,
+          of: strategies.length,
+        });
+        return locator;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the given elements (all registered ones by default) so the
+   * health report knows which strategy each of them is found by
+   * Elements missing from the current page are left out
+   */
+  async probe(elements = Object.keys(this.definitions)) {
+    for (const element of elements) {
+      await this.resolve(element);
+    }
+  }
+}
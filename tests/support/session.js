@@ -0,0 +1,75 @@
+import { env } from "../../config/env.js";
+
+/**
+ * Session security helpers
+ * Find the cookies and web storage entries that carry authentication and
+ * check them for the usual weaknesses
+ */
+
+// Cookie names that usually carry a session or login token
+const AUTH_COOKIE_PATTERN = /sess|auth|token|jwt|sid|remember/i;
+
+/**
+ * The cookies that hold the login session: the profile's sessionCookie when
+ * known, plus anything named like an auth cookie
+ * @param {Array<import("@playwright/test").Cookie>} cookies
+ */
+export function authCookies(cookies, sessionCookie = env.sessionCookie) {
+  return cookies.filter(
+    (cookie) =>
+      cookie.name === sessionCookie || AUTH_COOKIE_PATTERN.test(cookie.name)
+  );
+}
+
+/**
+ * What is wrong with an auth cookie's flags, empty when nothing
+ * Secure is only required when the app is served over HTTPS
+ */
+export function cookieFlagProblems(cookie, { requireSecure }) {
+  const problems = [];
+  if (!cookie.httpOnly) {
+    problems.push("missing HttpOnly");
+  }
+  if (cookie.sameSite === "None") {
+    problems.push("SameSite=None");
+  }
+  if (requireSecure && !cookie.secure) {
+    problems.push("missing Secure");
+  }
+  return problems;
+}
+
+/**
+ * localStorage and sessionStorage entries that look like credentials:
+ * a token-like key, a JWT value or the password itself
+ * @param {import("@playwright/test").Page} page
+ */
+export async function webStorageTokens(page, { password } = {}) {
+  return page.evaluate(
+    ({ password }) => {
+      const keyPattern = /token|jwt|auth|session|secret|password|credential/i;
+      const jwtPattern = /^(Bearer\s+)?eyJ[\w-]+\.[\w-]+\.[\w-]*$/;
+      const found = [];
+      for (const name of ["localStorage", "sessionStorage"]) {
+        const storage = window[name];
+        for (let i = 0; i < storage.length; i++) {
+          const key = storage.key(i);
+          const value = storage.getItem(key) ?? "";
+          let reason = null;
+          if (password && value.includes(password)) {
+            reason = "contains the password";
+          } else if (jwtPattern.test(value.trim())) {
+            reason = "JWT value";
+          } else if (keyPattern.test(key)) {
+            reason = "token-like key";
+          }
+          if (reason) {
+            found.push({ storage: name, key, reason });
+          }
+        }
+      }
+      return found;
+    },
+    { password }
+  );
+}
@@ -0,0 +1,38 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { env } from "../../config/env.js";
+
+/**
+ * Generated test data
+ * Values are unique per call, so parallel workers and repeated runs against
+ * the same app never collide. Emails carry the run ID (see config/env.js),
+ * so everything a run signed up can be found and removed afterwards
+ */
+
+/**
+ * A made-up client address from the benchmarking range (198.18.0.0/15,
+ * RFC 2544) to send as X-Forwarded-For, so failed logins from one test never
+ * count against another's rate limit
+ */
+export function uniqueClientIp() {
+  const [a, b] = crypto.randomBytes(2);
+  return `198.18.${a}.${b}`;
+}
+
+/**
+ * A fresh email address, e.g. register-run20261019184132-3fa9c1@edutrace.test
+ */
+export function uniqueEmail(prefix = "test", domain = "edutrace.test") {
+  const random = crypto.randomBytes(3).toString("hex");
+  return `${prefix}-${env.runId}-${random}@${domain}`;
+}
+
+/**
+ * The app's password rule with valid and invalid example passwords, from
+ * tests/data/password-policy.json
+ */
+export function passwordPolicy() {
+  const file = path.resolve(__dirname, "../data/password-policy.json");
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
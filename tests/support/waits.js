@@ -0,0 +1,45 @@
+import { env } from "../../config/env.js";
+
+/**
+ * Deterministic wait helpers
+ * Wait on the event that matters (the login API answer, a URL change)
+ * instead of sleeping for a fixed time
+ */
+
+/**
+ * Whether a request is the login API call (not the login page itself)
+ * Matches the profile's loginApiPath when set, otherwise any fetch/XHR POST
+ * to a path containing "login"
+ */
+export function isLoginApiRequest(request, loginApiPath = env.loginApiPath) {
+  if (request.method() !== "POST") {
+    return false;
+  }
+  if (!["fetch", "xhr"].includes(request.resourceType())) {
+    return false;
+  }
+  const { pathname } = new URL(request.url());
+  return loginApiPath ? pathname === loginApiPath : /login/i.test(pathname);
+}
+
+/**
+ * Resolve with the next login API response
+ */
+export function waitForLoginResponse(page, { timeout = 10000 } = {}) {
+  return page.waitForResponse(
+    (response) => isLoginApiRequest(response.request()),
+    { timeout }
+  );
+}
+
+/**
+ * Wait for the URL to match `pattern`
+ * Resolves true when it does and false on timeout, for pages where the
+ * change is allowed not to happen
+ */
+export function waitForUrl(page, pattern, { timeout = 5000 } = {}) {
+  return page.waitForURL(pattern, { timeout }).then(
+    () => true,
+    () => false
+  );
+}
@@ -0,0 +1,130 @@
+import crypto from "crypto";
+import { test, expect, env, DashboardPage } from "./fixtures.js";
+import {
+  TestDataFactory,
+  deleteRun,
+  runLeftovers,
+} from "./support/data-factory.js";
+import { uniqueClientIp } from "./support/test-data.js";
+
+/**
+ * Test data factory
+ * Checks the factory itself: what it creates shows up in the app, and
+ * cleanup and bulk deletion by run ID leave nothing behind. DATA-02 and
+ * DATA-03 tag their data with a run ID of their own, so other tests
+ * running at the same time don't show up in their counts
+ */
+
+/**
+ * A run ID only this test uses
+ */
+function privateRunId() {
+  return `${env.runId}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/**
+ * A teacher with a class and a student enrolled in it
+ */
+async function classWithStudent(factory) {
+  const teacher = await factory.createUser({ role: "teacher" });
+  const student = await factory.createUser({ role: "student" });
+  const klass = await factory.createClass({ teacher });
+  await factory.enrol(student, klass);
+  return { teacher, student, klass };
+}
+
+test.describe("Test Data Factory", () => {
+  test.skip(
+    !env.testDataPaths,
+    `No test data endpoints in the "${env.name}" profile`
+  );
+
+  test.describe("In the app", () => {
+    test.use({ authRole: null });
+
+    /**
+     * DATA-01: Factory data in the app
+     * Expected: A student made by the factory can log in and sees the class
+     * they were enrolled in under "My classes"
+     */
+    test("DATA-01: Enrolled student sees their class", async ({
+      page,
+      loginPage,
+      testData,
+    }) => {
+      const { student, klass } = await classWithStudent(testData);
+
+      await loginPage.login(student.email, student.password);
+      await expect(page).toHaveURL(DashboardPage.URL_PATTERN);
+
+      await page.goto("/courses");
+      const myClasses = page.getByTestId("my-classes");
+      await expect(myClasses.getByRole("listitem")).toHaveText([klass.name]);
+    });
+  });
+
+  /**
+   * DATA-02: Cleanup
+   * Expected: After cleanup() nothing tagged with the run ID is left, even
+   * when part of the data was already deleted
+   */
+  test("DATA-02: Cleanup removes everything the factory created", async ({
+    request,
+  }) => {
+    const factory = new TestDataFactory(
+      request,
+      env.testDataPaths,
+      privateRunId()
+    );
+    const { teacher } = await classWithStudent(factory);
+
+    const before = await runLeftovers(
+      request,
+      env.testDataPaths,
+      factory.runId
+    );
+    expect(before.users).toHaveLength(2);
+    expect(before.classes).toHaveLength(1);
+    expect(before.enrolments).toHaveLength(1);
+
+    // Deleting the teacher first must not make cleanup fail
+    await request.delete(`${env.testDataPaths.users}/${teacher.id}`);
+    await factory.cleanup();
+
+    expect(
+      await runLeftovers(request, env.testDataPaths, factory.runId)
+    ).toEqual({ users: [], classes: [], enrolments: [] });
+  });
+
+  /**
+   * DATA-03: Bulk deletion by run ID
+   * Expected: Deleting a run removes all its users, classes and enrolments
+   * and its accounts can no longer log in
+   */
+  test("DATA-03: Deleting a run removes all of its data", async ({
+    request,
+  }) => {
+    test.skip(!env.loginApiPath, "No login API path to check the accounts");
+    const runId = privateRunId();
+    const factory = new TestDataFactory(request, env.testDataPaths, runId);
+    const { student } = await classWithStudent(factory);
+
+    expect(await deleteRun(request, env.testDataPaths, runId)).toEqual({
+      users: 2,
+      classes: 1,
+      enrolments: 1,
+    });
+    expect(await runLeftovers(request, env.testDataPaths, runId)).toEqual({
+      users: [],
+      classes: [],
+      enrolments: [],
+    });
+
+    const login = await request.post(env.loginApiPath, {
+      data: { email: student.email, password: student.password },
+      // Keep this failed login off the shared client's rate limit
+      headers: { "X-Forwarded-For": uniqueClientIp() },
+    });
+    expect(login.status()).toBe(401);
+  });
+});